@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+// Runs the scanner (pa11y and axe, as the API does) from the command line, for CI pipelines.
+// Needs no database or Clerk configuration: results go to stdout or --output, and the exit
+// code says whether they passed the thresholds.
+//
+//   node bin/scan.js [options] <url...>
+//   node bin/scan.js --sitemap https://example.com/sitemap.xml --max-critical 0 --max-serious 5
+//
+// Exit codes: 0 passed, 1 a threshold was exceeded, 2 usage error or a page could not be scanned
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+import { runScan, SCAN_ABORTED } from '../utils/scanRunner.js';
+import { closeBrowserPool } from '../utils/browserPool.js';
+import { allowPrivateAddresses } from '../utils/egress.js';
+import { discoverPages } from '../utils/siteScan.js';
+import { exportReport } from '../utils/export.js';
+import { IMPACT_LEVELS, summarizeResult, issueImpact, activeIssues } from '../utils/summary.js';
+import { computeScore, averageScore } from '../utils/score.js';
+
+const FORMATS = ['pretty', 'json', 'sarif', 'junit'];
+const WCAG_LEVELS = ['A', 'AA', 'AAA'];
+const DEFAULT_TIMEOUT_SECONDS = 300;
+const DEFAULT_SITEMAP_PAGES = 50;
+// Issues listed per page in the pretty format
+const PRETTY_ISSUE_LIMIT = 20;
+
+const USAGE = `Usage: node bin/scan.js [options] <url...>
+
+Options:
+  --sitemap <url>         also scan the pages a sitemap lists (repeatable)
+  --max-pages <n>         pages to take from the sitemaps (default ${DEFAULT_SITEMAP_PAGES})
+  --level <A|AA|AAA>      WCAG level (default AA)
+  --format <format>       ${FORMATS.join(', ')} (default pretty)
+  --output <file>         write the results to a file instead of stdout
+  --timeout <seconds>     deadline per page; findings so far are kept (default ${DEFAULT_TIMEOUT_SECONDS})
+  --max-critical <n>      fail with more than n critical issues (likewise --max-serious,
+                          --max-moderate, --max-minor)
+  --max-issues <n>        fail with more than n issues in total
+  --min-score <n>         fail when the average score is below n (0-100)
+  --allow-private         allow localhost and private network addresses (blocked by default)
+  --verbose               show the scanner's log on stderr
+  --help                  show this message
+`;
+
+const OPTIONS = {
+  sitemap: { type: 'string', multiple: true, default: [] },
+  'max-pages': { type: 'string' },
+  level: { type: 'string', default: 'AA' },
+  format: { type: 'string', default: 'pretty' },
+  output: { type: 'string' },
+  timeout: { type: 'string' },
+  ...Object.fromEntries(IMPACT_LEVELS.map(level => [`max-${level}`, { type: 'string' }])),
+  'max-issues': { type: 'string' },
+  'min-score': { type: 'string' },
+  'allow-private': { type: 'boolean', default: false },
+  verbose: { type: 'boolean', default: false },
+  help: { type: 'boolean', default: false }
+};
+
+class UsageError extends Error {}
+
+const numberOption = (values, name, { min = 0, max = Infinity } = {}) => {
+  if (values[name] === undefined) return undefined;
+  const value = Number(values[name]);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new UsageError(`--${name} must be a whole number from ${min}${max === Infinity ? '' : ` to ${max}`}`);
+  }
+  return value;
+};
+
+const parseOptions = (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+  if (!positionals.length && !values.sitemap.length) {
+    throw new UsageError('Pass at least one URL or --sitemap');
+  }
+  const level = values.level.toUpperCase();
+  if (!WCAG_LEVELS.includes(level)) {
+    throw new UsageError(`--level must be one of ${WCAG_LEVELS.join(', ')}`);
+  }
+  if (!FORMATS.includes(values.format)) {
+    throw new UsageError(`--format must be one of ${FORMATS.join(', ')}`);
+  }
+  for (const url of [...positionals, ...values.sitemap]) {
+    let protocol = null;
+    try {
+      ({ protocol } = new URL(url));
+    } catch (e) {
+      // Reported below
+    }
+    if (!['http:', 'https:'].includes(protocol)) {
+      throw new UsageError(`Not an http(s) URL: ${url}`);
+    }
+  }
+  return {
+    urls: positionals,
+    sitemaps: values.sitemap,
+    maxPages: numberOption(values, 'max-pages', { min: 1 }) ?? DEFAULT_SITEMAP_PAGES,
+    level,
+    format: values.format,
+    output: values.output,
+    timeoutMs: (numberOption(values, 'timeout', { min: 1 }) ?? DEFAULT_TIMEOUT_SECONDS) * 1000,
+    thresholds: {
+      ...Object.fromEntries(IMPACT_LEVELS.map(level => [level, numberOption(values, `max-${level}`)])),
+      issues: numberOption(values, 'max-issues'),
+      score: numberOption(values, 'min-score', { max: 100 })
+    },
+    allowPrivate: values['allow-private'],
+    verbose: values.verbose
+  };
+};
+
+// The URLs given, then each sitemap's pages, without duplicates
+const collectUrls = async ({ urls, sitemaps, maxPages }) => {
+  const pages = [...urls];
+  for (const sitemapUrl of sitemaps) {
+    const listed = await discoverPages(new URL(sitemapUrl).origin, { sources: 'sitemap', sitemapUrl, maxPages });
+    pages.push(...listed);
+  }
+  return [...new Set(pages)];
+};
+
+// One entry per page, shaped like a page report so the API's exporters can format it
+const scanPage = async (url, { level, timeoutMs }) => {
+  try {
+    const result = await runScan(url, level, { signal: AbortSignal.timeout(timeoutMs) });
+    return { url, status: 'complete', result, score: computeScore(result) };
+  } catch (error) {
+    if (error.code !== SCAN_ABORTED) {
+      return { url, status: 'error', result: { error: error.message }, score: null };
+    }
+    const message = `Stopped after ${timeoutMs / 1000}s during ${error.stage}`;
+    return { url, status: 'timeout', result: { ...(error.partial || {}), error: message }, score: null };
+  }
+};
+
+const countIssues = (pages) => {
+  const totals = { issues: 0, ...Object.fromEntries(IMPACT_LEVELS.map(level => [level, 0])) };
+  for (const page of pages) {
+    const { issues, byImpact } = summarizeResult(page.result);
+    totals.issues += issues;
+    for (const level of IMPACT_LEVELS) totals[level] += byImpact[level];
+  }
+  return totals;
+};
+
+// Descriptions of every threshold the totals break
+const checkThresholds = (totals, score, thresholds) => {
+  const failures = [];
+  for (const key of [...IMPACT_LEVELS, 'issues']) {
+    const limit = thresholds[key];
+    if (limit !== undefined && totals[key] > limit) {
+      failures.push(`${totals[key]} ${key === 'issues' ? 'issues' : `${key} issue(s)`}, more than the ${limit} allowed`);
+    }
+  }
+  if (thresholds.score !== undefined && (score === null || score < thresholds.score)) {
+    failures.push(`score ${score ?? 'unavailable'}, below the minimum of ${thresholds.score}`);
+  }
+  return failures;
+};
+
+const formatPretty = (pages, totals, score, failures) => {
+  const lines = [];
+  for (const page of pages) {
+    lines.push(`${page.url}`);
+    if (page.status === 'error') {
+      lines.push(`  Scan failed: ${page.result.error}`, '');
+      continue;
+    }
+    if (page.status === 'timeout') lines.push(`  Incomplete: ${page.result.error}`);
+    const summary = summarizeResult(page.result);
+    lines.push(`  Score ${page.score ?? '-'}, ${summary.issues} issue(s): ${IMPACT_LEVELS.map(level => `${summary.byImpact[level]} ${level}`).join(', ')}`);
+    const issues = activeIssues(page.result?.unified?.issues || [])
+      .sort((a, b) => IMPACT_LEVELS.indexOf(issueImpact(a)) - IMPACT_LEVELS.indexOf(issueImpact(b)));
+    for (const issue of issues.slice(0, PRETTY_ISSUE_LIMIT)) {
+      const selector = issue.selector || (Array.isArray(issue.target) ? issue.target.join(' ') : '');
+      lines.push(`  [${issueImpact(issue)}] ${issue.rule || issue.code}: ${issue.help || issue.message}${selector ? `\n      ${selector}` : ''}`);
+    }
+    if (issues.length > PRETTY_ISSUE_LIMIT) lines.push(`  ... and ${issues.length - PRETTY_ISSUE_LIMIT} more`);
+    lines.push('');
+  }
+  lines.push(`${pages.length} page(s), score ${score ?? '-'}, ${totals.issues} issue(s): ${IMPACT_LEVELS.map(level => `${totals[level]} ${level}`).join(', ')}`);
+  const unscanned = pages.filter(page => page.status !== 'complete').length;
+  if (failures.length) {
+    lines.push(`FAILED: ${failures.join('; ')}`);
+  } else {
+    lines.push(unscanned ? `INCOMPLETE: ${unscanned} page(s) could not be fully scanned` : 'PASSED');
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+const formatResults = (format, pages, totals, score, failures) => {
+  if (format === 'pretty') return formatPretty(pages, totals, score, failures);
+  const run = {
+    _id: `cli-${Date.now()}`,
+    url: pages[0]?.url,
+    status: pages.every(page => page.status === 'complete') ? 'complete' : 'error',
+    createdAt: new Date()
+  };
+  const { body } = exportReport(run, format, { pages, includeScreenshots: false });
+  if (format !== 'json') return body;
+  // The JSON export also gets the per-page outcome and the verdict
+  return `${JSON.stringify({
+    ...JSON.parse(body),
+    pages: pages.map(({ url, status, score: pageScore, result }) => ({ url, status, score: pageScore, error: result.error || null, ...summarizeResult(result) })),
+    totals: { ...totals, score },
+    thresholds: { passed: failures.length === 0, failures }
+  }, null, 2)}\n`;
+};
+
+const main = async () => {
+  const options = parseOptions(process.argv.slice(2));
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  // The scanner logs as it goes; stdout carries only the results
+  const log = (message) => process.stderr.write(`${message}\n`);
+  if (options.allowPrivate) allowPrivateAddresses();
+  if (options.verbose) {
+    console.log = console.info = console.warn = console.error;
+  } else {
+    console.log = console.info = console.warn = console.error = () => {};
+  }
+
+  const urls = await collectUrls(options);
+  const pages = [];
+  for (const [index, url] of urls.entries()) {
+    log(`Scanning ${url} (${index + 1}/${urls.length})`);
+    const page = await scanPage(url, options);
+    if (page.status !== 'complete') log(`  ${page.status === 'error' ? 'Failed' : 'Incomplete'}: ${page.result.error}`);
+    pages.push(page);
+  }
+
+  const totals = countIssues(pages);
+  const score = averageScore(pages.map(page => page.score));
+  const failures = checkThresholds(totals, score, options.thresholds);
+  const output = formatResults(options.format, pages, totals, score, failures);
+  if (options.output) {
+    await fs.writeFile(options.output, output);
+    log(`Results written to ${options.output}`);
+  } else {
+    process.stdout.write(output);
+  }
+
+  if (failures.length) log(`Thresholds exceeded: ${failures.join('; ')}`);
+  if (pages.some(page => page.status !== 'complete')) return 2;
+  return failures.length ? 1 : 0;
+};
+
+main()
+  .catch((error) => {
+    process.stderr.write(error instanceof UsageError ? `${error.message}\n\n${USAGE}` : `Scan failed: ${error.message}\n`);
+    return 2;
+  })
+  .then(async (code) => {
+    await closeBrowserPool();
+    process.exit(code);
+  });
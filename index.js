@@ -3,12 +3,33 @@ import cors from 'cors';
 import bodyParser from 'body-parser';
 import helmet from 'helmet';
 import compression from 'compression';
-import { runScan } from './utils/scanRunner.js';
-import { saveReport, canScanToday, getAllReports, getReportById } from './utils/db.js';
-import { authMiddleware } from './utils/clerk.js';
+import { connectDatabase, saveReport, canScanToday, getReportById, getReportOwner, getChildReports, saveSchedule, getAllSchedules, getScheduleById } from './utils/db.js';
+import { authMiddleware, optionalAuthMiddleware, requireRole } from './utils/clerk.js';
+import { ownerFields, ownershipFilter, canReadReport, canManage, isAdmin } from './utils/access.js';
 import { generatePDF } from './utils/pdf.js';
 import mongoose from 'mongoose';
-import { sendReportEmail } from './utils/email.js';
+import { sendReportEmail, sendVerificationEmail } from './utils/email.js';
+import { startQueue, stopQueue } from './utils/queue.js';
+import { enqueueScan, enqueueSiteScan, cancelScan } from './utils/scanJobs.js';
+import { normalizeCrawlOptions } from './utils/siteScan.js';
+import { diffAgainst } from './utils/diff.js';
+import { exportReport, EXPORT_FORMATS } from './utils/export.js';
+import { prepareAuthFields } from './utils/scanAuth.js';
+import { validateStates } from './utils/actions.js';
+import { validateViewports } from './utils/viewports.js';
+import { validateAxeConfig } from './utils/axe.js';
+import { getTrend } from './utils/trends.js';
+import { createWebhook, getWebhooks, getWebhookById, deleteWebhook, getDeliveries, startWebhookDispatcher, stopWebhookDispatcher } from './utils/webhooks.js';
+import { SHOT_ID_PATTERN, readScreenshot, withInlineScreenshots, deleteScreenshots } from './utils/screenshots.js';
+import { createShare, getShares, revokeShare, deleteShares, canViewReport } from './utils/shares.js';
+import { normalizeEmail, createChallenge, verifyProofOfWork, createVerification, confirmVerification, claimReport } from './utils/publicScans.js';
+import { consumeRateLimit } from './utils/rateLimit.js';
+import { assertPublicUrl } from './utils/egress.js';
+import { parseReportListQuery, listReports } from './utils/reportList.js';
+import { streamProgress } from './utils/progress.js';
+import { warmBrowserPool, closeBrowserPool } from './utils/browserPool.js';
+import { createSuppression, createBaseline, getSuppressions, getSuppressionById, deleteSuppression, siteOf, startSuppressionExpiry, stopSuppressionExpiry } from './utils/suppressions.js';
+import { buildSchedule, computeNextRun, startScheduler, stopScheduler } from './utils/scheduler.js';
 
 // Add startup logging
 console.log('Starting backend service...');
@@ -18,11 +39,36 @@ console.log('Environment:', {
   DOMAIN: process.env.DOMAIN,
   FRONTEND_URL: process.env.FRONTEND_URL,
   MONGODB_URI: process.env.MONGODB_URI ? '***exists***' : '***missing***',
-  CLERK_SECRET_KEY: process.env.CLERK_SECRET_KEY ? '***exists***' : '***missing***'
+  CLERK_SECRET_KEY: process.env.CLERK_SECRET_KEY ? '***exists***' : '***missing***',
+  SECRETS_ENCRYPTION_KEY: process.env.SECRETS_ENCRYPTION_KEY ? '***exists***' : '***missing***'
 });
 
 const app = express();
 const PORT = process.env.PORT || 5000;
+// Lifetime of the share token handed out with each public scan
+const PUBLIC_SHARE_DAYS = parseInt(process.env.PUBLIC_SHARE_DAYS, 10) || 30;
+const HOUR_MS = 60 * 60 * 1000;
+// Public scan limits: requests per IP per hour, verification emails per address per hour,
+// and scans started by everyone together per day
+const PUBLIC_SCAN_LIMITS = {
+  challenge: { limit: 30, windowMs: HOUR_MS },
+  request: { limit: parseInt(process.env.PUBLIC_SCAN_IP_LIMIT, 10) || 5, windowMs: HOUR_MS },
+  verify: { limit: 20, windowMs: HOUR_MS },
+  email: { limit: 3, windowMs: HOUR_MS },
+  global: { limit: parseInt(process.env.PUBLIC_SCAN_DAILY_LIMIT, 10) || 500, windowMs: 24 * HOUR_MS }
+};
+// Report PDFs emailed on request, per report and per IP per hour
+const REPORT_EMAIL_LIMITS = {
+  report: { limit: 3, windowMs: HOUR_MS },
+  ip: { limit: 10, windowMs: HOUR_MS }
+};
+
+// Client IPs come from X-Forwarded-For only when TRUST_PROXY names the proxies in front of the
+// app (a hop count, or addresses and subnets); without a proxy anyone could set the header and
+// dodge the per-IP limits
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
 
 // Security middleware
 app.use(helmet({
@@ -48,8 +94,8 @@ const corsOptions = {
     'http://localhost:3000'  // Keep for local development
   ],
   credentials: true,
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept'],
+  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'X-Share-Token'],
   exposedHeaders: ['Content-Disposition']
 };
 
@@ -76,74 +122,177 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Responds 429 and returns false when `key` is over its limit
+const withinLimit = async (res, key, limits) => {
+  const { allowed, retryAfter } = await consumeRateLimit(key, limits);
+  if (!allowed) {
+    res.setHeader('Retry-After', retryAfter);
+    res.status(429).json({ error: 'Too many requests, please try again later' });
+  }
+  return allowed;
+};
+
 // API routes
+
+// Public scans take three steps: fetch a proof-of-work challenge, request the scan (which emails
+// a code), then confirm the code to start it
+app.get('/api/public-scan/challenge', async (req, res) => {
+  try {
+    if (!(await withinLimit(res, `public-challenge:${req.ip}`, PUBLIC_SCAN_LIMITS.challenge))) return;
+    res.json(await createChallenge());
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create challenge', details: error.message });
+  }
+});
+
+// Body: { url, email, wcagLevel, challenge, nonce }, where sha256("<challenge>:<nonce>") has the
+// challenge's difficulty in leading zero bits. `website` is a honeypot the form keeps hidden.
 app.post('/api/public-scan', async (req, res) => {
   try {
-    const { url, email, wcagLevel } = req.body;
+    const { url, email, wcagLevel, website, challenge, nonce } = req.body;
     if (!url || !email) {
       console.log('Missing URL or email in request');
       return res.status(400).json({ error: 'Missing URL or email' });
     }
+    if (!(await withinLimit(res, `public-request:${req.ip}`, PUBLIC_SCAN_LIMITS.request))) return;
+
+    // Bots filling the honeypot get the usual answer, so they can't tell they were caught
+    if (website) {
+      console.log(`Honeypot filled from ${req.ip}; dropping scan request for ${url}`);
+      return res.status(202).json({ verificationId: new mongoose.Types.ObjectId(), expiresAt: new Date(Date.now() + HOUR_MS / 2) });
+    }
+    if (!(await verifyProofOfWork(challenge, nonce))) {
+      return res.status(400).json({ error: 'Invalid or expired challenge' });
+    }
 
-    console.log(`Scan requested for ${url} by ${email}`);
-    const allowed = await canScanToday(email);
+    const emailNormalized = normalizeEmail(email);
+    if (!emailNormalized) {
+      return res.status(400).json({ error: 'Invalid email address' });
+    }
+    let parsed;
+    try {
+      parsed = new URL(url);
+      await assertPublicUrl(parsed.href);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid URL', details: error.message });
+    }
+
+    console.log(`Scan requested for ${url} by ${emailNormalized}`);
+    const allowed = await canScanToday(emailNormalized);
     if (!allowed) {
-      console.log(`Scan limit reached for ${email}`);
+      console.log(`Scan limit reached for ${emailNormalized}`);
       return res.status(429).json({ error: 'Scan limit reached for today' });
     }
+    if (!(await withinLimit(res, `public-email:${emailNormalized}`, PUBLIC_SCAN_LIMITS.email))) return;
 
-    // Create report with status 'pending'
-    const pendingReport = await saveReport({ url, email, type: 'public', status: 'pending', wcagLevel });
-    res.json({ reportId: pendingReport._id });
-
-    // Run scan asynchronously
-    runScan(url, wcagLevel)
-      .then(async (result) => {
-        await mongoose.model('Report').findByIdAndUpdate(pendingReport._id, {
-          result,
-          status: 'complete'
-        });
-        console.log(`Scan completed for ${url}`);
-      })
-      .catch(async (error) => {
-        console.log(`Public scan error caught: ${error.message}`);
-        console.log(`Error stack: ${error.stack}`);
-        console.log(`Error type: ${error.constructor.name}`);
-        const updateData = {
-          status: 'error',
-          result: { error: error.message }
-        };
-        console.log('Updating report with error data:', updateData);
-        await mongoose.model('Report').findByIdAndUpdate(pendingReport._id, updateData);
-        console.log(`Public scan error stored in database for ${url}`);
-        console.error('Scan error:', error);
-      });
+    const { verification, code } = await createVerification({
+      url: parsed.href,
+      email: String(email).trim(),
+      emailNormalized,
+      wcagLevel,
+      ip: req.ip
+    });
+    await sendVerificationEmail({ to: verification.email, url: parsed.href, verificationId: verification._id, code });
+    res.status(202).json({ verificationId: verification._id, expiresAt: verification.expiresAt });
   } catch (error) {
     console.error('Scan error:', error);
     res.status(500).json({ error: 'Failed to run scan', details: error.message });
   }
 });
 
-app.get('/api/reports', authMiddleware, async (req, res) => {
+// Body: { verificationId, code }. Starts the scan and returns its report ID with a share token
+// for reading it; confirming again returns the same report with a fresh token.
+app.post('/api/public-scan/verify', async (req, res) => {
+  try {
+    if (!(await withinLimit(res, `public-verify:${req.ip}`, PUBLIC_SCAN_LIMITS.verify))) return;
+    const verification = await confirmVerification(req.body.verificationId, req.body.code);
+    if (!verification) {
+      return res.status(400).json({ error: 'Invalid or expired code' });
+    }
+
+    if (!verification.report) {
+      // Checked again: another request for the same address may have been confirmed first
+      if (!(await canScanToday(verification.emailNormalized))) {
+        return res.status(429).json({ error: 'Scan limit reached for today' });
+      }
+      if (!(await withinLimit(res, 'public-global', PUBLIC_SCAN_LIMITS.global))) return;
+    }
+    const { reportId, created } = await claimReport(verification);
+    if (created) {
+      const { url, email, emailNormalized, wcagLevel } = verification;
+      // Create report with status 'pending'
+      await saveReport({ _id: reportId, url, email, emailNormalized, type: 'public', status: 'pending', wcagLevel });
+      // Queue the scan; a worker picks it up
+      await enqueueScan({ reportId, url, wcagLevel });
+    }
+    // Public reports have no owner, so the requester reads them with this token
+    const share = await createShare(reportId, { expiresInDays: PUBLIC_SHARE_DAYS, label: 'Public scan' });
+    res.json({ reportId, token: share.token, tokenExpiresAt: share.expiresAt });
+  } catch (error) {
+    console.error('Scan verification error:', error);
+    res.status(500).json({ error: 'Failed to start scan', details: error.message });
+  }
+});
+
+// Paginated: { items, nextCursor }; pass nextCursor back as ?cursor= for the next page.
+// Filters, sort and view are described in reportList.js
+app.get('/api/reports', authMiddleware, requireRole('viewer'), async (req, res) => {
   try {
     console.log('Reports requested by user:', req.auth.userId);
-    const reports = await getAllReports();
-    res.json(reports);
+    // Everyone sees their own and their organization's reports; admins can ask for all of them
+    if (req.query.scope === 'all' && !isAdmin(req.auth)) {
+      return res.status(403).json({ error: 'Forbidden', details: "Listing all reports requires the 'admin' role" });
+    }
+    let listing;
+    try {
+      listing = parseReportListQuery(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid query', details: error.message });
+    }
+    res.json(await listReports(req.query.scope === 'all' ? {} : ownershipFilter(req.auth), listing));
   } catch (error) {
     console.error('Reports error:', error);
     res.status(500).json({ error: 'Failed to fetch reports', details: error.message });
   }
 });
 
-app.get('/api/report/:id/pdf', authMiddleware, async (req, res) => {
+// Score and issue-count history: ?url=<page url> (&mode=site for site scans) or ?domain=<host>,
+// optionally bounded with from/to dates and limit
+app.get('/api/trends', authMiddleware, requireRole('viewer'), async (req, res) => {
   try {
-    console.log(`PDF requested for report ${req.params.id} by user:`, req.auth.userId);
+    const { url, domain, mode, from, to } = req.query;
+    if (!url === !domain) {
+      return res.status(400).json({ error: 'Pass either url or domain' });
+    }
+    if (domain && !/^[a-z0-9.-]+$/i.test(domain)) {
+      return res.status(400).json({ error: 'Invalid domain' });
+    }
+    const range = { from: from ? new Date(from) : undefined, to: to ? new Date(to) : undefined };
+    if (Object.values(range).some(date => date && isNaN(date))) {
+      return res.status(400).json({ error: 'Invalid from or to date' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    res.json(await getTrend({ url, domain, mode, ...range, limit, filter: ownershipFilter(req.auth) }));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch trend', details: error.message });
+  }
+});
+
+// Owners and admins, or anyone with a share token (?token= or X-Share-Token)
+app.get('/api/report/:id/pdf', optionalAuthMiddleware, async (req, res) => {
+  try {
+    console.log(`PDF requested for report ${req.params.id} by user:`, req.auth?.userId || 'share token');
     const report = await getReportById(req.params.id);
-    if (!report) {
+    // Reports the caller can't read are reported missing rather than forbidden
+    if (!report || !(await canViewReport(report, req))) {
       console.log(`Report ${req.params.id} not found`);
       return res.status(404).json({ error: 'Report not found' });
     }
-    const pdfBuffer = await generatePDF(report);
+    // ?compare=previous or ?compare=<reportId> adds a changes section
+    const diff = req.query.compare && report.mode !== 'site'
+      ? await diffAgainst(report, String(req.query.compare), { auth: req.auth, includeSuppressed: req.query.suppressed === 'true' })
+      : null;
+    const pdfBuffer = await generatePDF(report, { diff, includeSuppressed: req.query.suppressed === 'true' });
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `attachment; filename=report-${report._id}.pdf`);
     res.send(pdfBuffer);
@@ -153,11 +302,11 @@ app.get('/api/report/:id/pdf', authMiddleware, async (req, res) => {
   }
 });
 
-// New endpoint: Get report by ID (for polling/progress/results)
-app.get('/api/report/:id', async (req, res) => {
+// New endpoint: Get report by ID (for polling/progress/results); owners, admins or a share token
+app.get('/api/report/:id', optionalAuthMiddleware, async (req, res) => {
   try {
     const report = await getReportById(req.params.id);
-    if (!report) {
+    if (!report || !(await canViewReport(report, req))) {
       return res.status(404).json({ error: 'Report not found' });
     }
     console.log(`Report ${req.params.id} retrieved:`, {
@@ -173,16 +322,117 @@ app.get('/api/report/:id', async (req, res) => {
   }
 });
 
+// Server-Sent Events: 'progress' events ({ stage, message, percent, current?, total? }) while the
+// scan runs, then 'done' with the final status. EventSource can't set headers, so share
+// tokens go in ?token=; a reconnect resumes after Last-Event-ID.
+app.get('/api/report/:id/events', optionalAuthMiddleware, async (req, res) => {
+  try {
+    const report = mongoose.isValidObjectId(req.params.id) ? await getReportOwner(req.params.id) : null;
+    if (!report || !(await canViewReport(report, req))) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    streamProgress(req, res, report._id);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to stream progress', details: error.message });
+  }
+});
+
+// Screenshot referenced by a report's result (screenshotId / pageScreenshotId).
+// IDs are content hashes, so a given URL always serves the same image.
+app.get('/api/report/:id/screenshot/:shotId', optionalAuthMiddleware, async (req, res) => {
+  try {
+    const { id, shotId } = req.params;
+    if (!mongoose.isValidObjectId(id) || !SHOT_ID_PATTERN.test(shotId)) {
+      return res.status(404).json({ error: 'Screenshot not found' });
+    }
+    const owner = await getReportOwner(id);
+    if (!owner || !(await canViewReport(owner, req))) {
+      return res.status(404).json({ error: 'Screenshot not found' });
+    }
+    const etag = `"${shotId}"`;
+    res.setHeader('Cache-Control', 'private, max-age=31536000, immutable');
+    res.setHeader('ETag', etag);
+    if (req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
+    }
+    const shot = await readScreenshot(id, shotId);
+    if (!shot) {
+      res.removeHeader('Cache-Control');
+      res.removeHeader('ETag');
+      return res.status(404).json({ error: 'Screenshot not found' });
+    }
+    res.setHeader('Content-Type', shot.contentType);
+    res.setHeader('Content-Length', shot.buffer.length);
+    res.send(shot.buffer);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch screenshot', details: error.message });
+  }
+});
+
+// Regression diff against another report, or 'previous' for the last scan of the same URL
+app.get('/api/report/:id/diff/:otherId', optionalAuthMiddleware, async (req, res) => {
+  try {
+    const report = await getReportById(req.params.id);
+    if (!report || !canReadReport(report, req.auth)) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    if (report.mode === 'site') {
+      return res.status(400).json({ error: 'Diffs are only available for single-page reports' });
+    }
+    const diff = await diffAgainst(report, req.params.otherId, {
+      includeScreenshots: req.query.screenshots === 'true',
+      includeSuppressed: req.query.suppressed === 'true',
+      auth: req.auth
+    });
+    if (!diff) {
+      return res.status(404).json({ error: 'No report to compare against' });
+    }
+    res.json(diff);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to diff reports', details: error.message });
+  }
+});
+
+// Export findings as csv, sarif, junit or json; ?screenshots=false leaves out the images
+app.get('/api/report/:id/export', optionalAuthMiddleware, async (req, res) => {
+  try {
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid format, expected one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+    const report = await getReportById(req.params.id);
+    if (!report || !canReadReport(report, req.auth)) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    const includeScreenshots = req.query.screenshots !== 'false';
+    let pages = report.mode === 'site' ? await getChildReports(report._id) : [report];
+    if (includeScreenshots) {
+      pages = await Promise.all(pages.map(withInlineScreenshots));
+    }
+    const includeSuppressed = req.query.suppressed === 'true';
+    const { body, contentType, filename } = exportReport(report, format, { includeScreenshots, includeSuppressed, pages });
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    res.send(body);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to export report', details: error.message });
+  }
+});
+
 // Add after /api/report/:id endpoint
-app.post('/api/report/:id/email', async (req, res) => {
+// Sends the PDF to the report's own address, so a share token is enough (public scanners get
+// one with their report). Rate limited, so holders can't flood the address.
+app.post('/api/report/:id/email', optionalAuthMiddleware, async (req, res) => {
   try {
     const report = await getReportById(req.params.id);
-    if (!report) {
+    if (!report || !(await canViewReport(report, req))) {
       return res.status(404).json({ error: 'Report not found' });
     }
     if (!report.email) {
       return res.status(400).json({ error: 'No email associated with this report' });
     }
+    if (!(await withinLimit(res, `report-email-ip:${req.ip}`, REPORT_EMAIL_LIMITS.ip))) return;
+    if (!(await withinLimit(res, `report-email:${report._id}`, REPORT_EMAIL_LIMITS.report))) return;
     const pdfBuffer = await generatePDF(report);
     await sendReportEmail({
       to: report.email,
@@ -196,52 +446,324 @@ app.post('/api/report/:id/email', async (req, res) => {
   }
 });
 
-// Admin scan endpoint (unlimited, requires admin auth)
-app.post('/api/admin-scan', authMiddleware, async (req, res) => {
+// Admin scan endpoint (unlimited, requires the member role)
+app.post('/api/admin-scan', authMiddleware, requireRole('member'), async (req, res) => {
   try {
-    // You can add more robust admin checks here if needed
-    const { url, email, wcagLevel } = req.body;
+    const { url, email, wcagLevel, mode = 'page', crawl } = req.body;
     if (!url || !email) {
       return res.status(400).json({ error: 'Missing URL or email' });
     }
+    if (!['page', 'site'].includes(mode)) {
+      return res.status(400).json({ error: "Invalid mode, expected 'page' or 'site'" });
+    }
+    // Credentials are encrypted before they are stored or queued
+    let authFields;
+    try {
+      authFields = prepareAuthFields(req.body.auth);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid auth config', details: error.message });
+    }
+    let states;
+    try {
+      states = validateStates(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid actions', details: error.message });
+    }
+    let viewports;
+    try {
+      viewports = validateViewports(req.body.viewports);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid viewports', details: error.message });
+    }
+    let axeConfig;
+    try {
+      axeConfig = validateAxeConfig(req.body.axeConfig);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid axe config', details: error.message });
+    }
     // Create report with status 'pending', type 'admin'
-    const pendingReport = await saveReport({ url, email, type: 'admin', status: 'pending', wcagLevel });
+    if (mode === 'site') {
+      let crawlOptions;
+      try {
+        crawlOptions = normalizeCrawlOptions(crawl);
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid crawl options', details: error.message });
+      }
+      const pendingReport = await saveReport({ url, email, type: 'admin', status: 'pending', wcagLevel, mode, crawl: crawlOptions, states, viewports, axeConfig, ...ownerFields(req.auth), ...authFields });
+      // Page discovery runs as its own job and queues one scan per page
+      await enqueueSiteScan({ reportId: pendingReport._id, url, wcagLevel, crawl: crawlOptions, auth: authFields.auth, states, viewports, axeConfig });
+      return res.json({ reportId: pendingReport._id });
+    }
+    const pendingReport = await saveReport({ url, email, type: 'admin', status: 'pending', wcagLevel, states, viewports, axeConfig, ...ownerFields(req.auth), ...authFields });
+    // Queue the scan; a worker picks it up
+    await enqueueScan({ reportId: pendingReport._id, url, wcagLevel, auth: authFields.auth, states, viewports, axeConfig });
     res.json({ reportId: pendingReport._id });
-    // Run scan asynchronously
-    runScan(url, wcagLevel)
-      .then(async (result) => {
-        await mongoose.model('Report').findByIdAndUpdate(pendingReport._id, {
-          result,
-          status: 'complete'
-        });
-        console.log(`Admin scan completed for ${url}`);
-      })
-      .catch(async (error) => {
-        console.log(`Admin scan error caught: ${error.message}`);
-        console.log(`Error stack: ${error.stack}`);
-        console.log(`Error type: ${error.constructor.name}`);
-        const updateData = {
-          status: 'error',
-          result: { error: error.message }
-        };
-        console.log('Updating report with error data:', updateData);
-        await mongoose.model('Report').findByIdAndUpdate(pendingReport._id, updateData);
-        console.log(`Admin scan error stored in database for ${url}`);
-        console.error('Admin scan error:', error);
-      });
   } catch (error) {
     res.status(500).json({ error: 'Failed to run admin scan', details: error.message });
   }
 });
 
-// Delete report endpoint (admin only)
-app.delete('/api/report/:id', authMiddleware, async (req, res) => {
+// Schedules: recurring scans of a URL or site
+app.post('/api/schedules', authMiddleware, requireRole('member'), async (req, res) => {
+  let fields;
+  try {
+    fields = buildSchedule(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid schedule', details: error.message });
+  }
+  try {
+    const schedule = await saveSchedule({ ...fields, ...ownerFields(req.auth) });
+    res.status(201).json(schedule);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create schedule', details: error.message });
+  }
+});
+
+app.get('/api/schedules', authMiddleware, requireRole('viewer'), async (req, res) => {
+  try {
+    const schedules = await getAllSchedules(isAdmin(req.auth) ? {} : ownershipFilter(req.auth));
+    res.json(schedules);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch schedules', details: error.message });
+  }
+});
+
+app.post('/api/schedules/:id/pause', authMiddleware, requireRole('member'), async (req, res) => {
+  try {
+    const schedule = await getScheduleById(req.params.id);
+    if (!schedule || !canManage(schedule, req.auth)) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    schedule.active = false;
+    await schedule.save();
+    res.json(schedule);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to pause schedule', details: error.message });
+  }
+});
+
+app.post('/api/schedules/:id/resume', authMiddleware, requireRole('member'), async (req, res) => {
+  try {
+    const schedule = await getScheduleById(req.params.id);
+    if (!schedule || !canManage(schedule, req.auth)) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    // Runs missed while paused are skipped
+    schedule.active = true;
+    schedule.nextRunAt = computeNextRun(schedule);
+    await schedule.save();
+    res.json(schedule);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to resume schedule', details: error.message });
+  }
+});
+
+app.delete('/api/schedules/:id', authMiddleware, requireRole('member'), async (req, res) => {
+  try {
+    const schedule = await getScheduleById(req.params.id);
+    if (!schedule || !canManage(schedule, req.auth)) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    await mongoose.model('Schedule').findByIdAndDelete(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete schedule', details: error.message });
+  }
+});
+
+// Webhooks: signed POSTs on scan.started, scan.completed and scan.failed,
+// for the caller's own scans or for one schedule's scans
+app.post('/api/webhooks', authMiddleware, requireRole('member'), async (req, res) => {
+  try {
+    // The signing secret is returned here only
+    const webhook = await createWebhook(req.body, req.auth);
+    res.status(201).json(webhook);
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid webhook', details: error.message });
+  }
+});
+
+app.get('/api/webhooks', authMiddleware, requireRole('viewer'), async (req, res) => {
+  try {
+    res.json(await getWebhooks(req.auth.userId));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch webhooks', details: error.message });
+  }
+});
+
+app.delete('/api/webhooks/:id', authMiddleware, requireRole('member'), async (req, res) => {
+  try {
+    const webhook = await getWebhookById(req.params.id, req.auth.userId);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    await deleteWebhook(webhook._id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete webhook', details: error.message });
+  }
+});
+
+// Delivery log, newest first; ?status=pending|sending|delivered|failed&limit=
+app.get('/api/webhooks/:id/deliveries', authMiddleware, requireRole('viewer'), async (req, res) => {
+  try {
+    const webhook = await getWebhookById(req.params.id, req.auth.userId);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const status = typeof req.query.status === 'string' ? req.query.status : undefined;
+    res.json(await getDeliveries(webhook._id, { status, limit }));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch deliveries', details: error.message });
+  }
+});
+
+// Share links: read-only access to a report's JSON, PDF and screenshots without signing in.
+// Body: { expiresInDays?, label? }; the token is returned here only.
+app.post('/api/report/:id/shares', authMiddleware, requireRole('member'), async (req, res) => {
+  try {
+    const report = await getReportOwner(req.params.id);
+    if (!report || !canManage(report, req.auth)) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    const { expiresInDays, label } = req.body;
+    let share;
+    try {
+      share = await createShare(report._id, { expiresInDays, label }, req.auth.userId);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid share', details: error.message });
+    }
+    res.status(201).json(share);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create share', details: error.message });
+  }
+});
+
+app.get('/api/report/:id/shares', authMiddleware, requireRole('viewer'), async (req, res) => {
+  try {
+    const report = await getReportOwner(req.params.id);
+    if (!report || !canManage(report, req.auth)) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    res.json(await getShares(report._id));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch shares', details: error.message });
+  }
+});
+
+// Revoked links stop working immediately but stay listed
+app.delete('/api/report/:id/shares/:shareId', authMiddleware, requireRole('member'), async (req, res) => {
+  try {
+    const report = await getReportOwner(req.params.id);
+    if (!report || !canManage(report, req.auth) || !mongoose.isValidObjectId(req.params.shareId)) {
+      return res.status(404).json({ error: 'Share not found' });
+    }
+    const share = await revokeShare(report._id, req.params.shareId);
+    if (!share) {
+      return res.status(404).json({ error: 'Share not found' });
+    }
+    res.json(share);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to revoke share', details: error.message });
+  }
+});
+
+// Suppressions: known false positives and accepted risks, per site, left out of counts, scores
+// and exports. Body: { site, rule, selector?, urlPattern?, reason, expiresAt | expiresInDays }
+app.post('/api/suppressions', authMiddleware, requireRole('member'), async (req, res) => {
+  try {
+    const suppression = await createSuppression(req.body, ownerFields(req.auth));
+    res.status(201).json(suppression);
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid suppression', details: error.message });
+  }
+});
+
+// ?site=<hostname or URL> narrows the list to one site
+app.get('/api/suppressions', authMiddleware, requireRole('viewer'), async (req, res) => {
+  try {
+    const filter = ownershipFilter(req.auth);
+    if (req.query.site) filter.site = siteOf(req.query.site);
+    res.json(await getSuppressions(filter));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch suppressions', details: error.message });
+  }
+});
+
+app.delete('/api/suppressions/:id', authMiddleware, requireRole('member'), async (req, res) => {
+  try {
+    const suppression = mongoose.isValidObjectId(req.params.id) ? await getSuppressionById(req.params.id) : null;
+    if (!suppression || !canManage(suppression, req.auth)) {
+      return res.status(404).json({ error: 'Suppression not found' });
+    }
+    await deleteSuppression(suppression._id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete suppression', details: error.message });
+  }
+});
+
+// Accepts every current issue of a completed report (all pages, for a site report) so only
+// new issues count from now on. Body: { reason, expiresAt | expiresInDays }
+app.post('/api/report/:id/baseline', authMiddleware, requireRole('member'), async (req, res) => {
   try {
     const report = await getReportById(req.params.id);
-    if (!report) {
+    if (!report || !canManage(report, req.auth)) {
       return res.status(404).json({ error: 'Report not found' });
     }
+    if (report.status !== 'complete') {
+      return res.status(400).json({ error: 'Only completed reports can be baselined' });
+    }
+    let baseline;
+    try {
+      baseline = await createBaseline(report, req.body, req.auth.userId);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid baseline', details: error.message });
+    }
+    const { issues, ...fields } = baseline.toObject();
+    res.status(201).json({ ...fields, issueCount: issues.length });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create baseline', details: error.message });
+  }
+});
+
+// Cancels a pending scan. Scans already running stop within a few seconds and keep what they
+// found; `stopping` counts them, and the events stream reports when they have.
+app.post('/api/report/:id/cancel', authMiddleware, requireRole('member'), async (req, res) => {
+  try {
+    const report = await getReportById(req.params.id);
+    if (!report || !canManage(report, req.auth)) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    if (report.status !== 'pending') {
+      return res.status(400).json({ error: 'Only pending scans can be cancelled', status: report.status });
+    }
+    const stopping = await cancelScan(report);
+    res.status(202).json({ success: true, stopping });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to cancel scan', details: error.message });
+  }
+});
+
+// Delete report endpoint (owner or admin)
+app.delete('/api/report/:id', authMiddleware, requireRole('member'), async (req, res) => {
+  try {
+    const report = await getReportById(req.params.id);
+    if (!report || !canReadReport(report, req.auth)) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    if (!canManage(report, req.auth)) {
+      return res.status(403).json({ error: 'Forbidden', details: 'Only the owner of a report or an admin can delete it' });
+    }
+    // Site reports own their per-page reports
+    const children = await getChildReports(req.params.id);
+    for (const owned of [report, ...children]) {
+      await deleteScreenshots(owned._id);
+    }
+    await deleteShares([report._id, ...children.map(child => child._id)]);
     await mongoose.model('Report').findByIdAndDelete(req.params.id);
+    await mongoose.model('Report').deleteMany({ parentReport: req.params.id });
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: 'Failed to delete report', details: error.message });
@@ -260,10 +782,16 @@ app.use((err, req, res, next) => {
 // Start server with error handling
 const startServer = async () => {
   try {
+    connectDatabase();
     const server = app.listen(PORT, '0.0.0.0', () => {
       console.log(`Backend running on port ${PORT}`);
       console.log('Server started successfully');
       console.log('CORS enabled for:', corsOptions.origin);
+      warmBrowserPool().catch(error => console.error('Failed to start the browser pool:', error));
+      startQueue().catch(error => console.error('Failed to start job queue:', error));
+      startScheduler();
+      startWebhookDispatcher();
+      startSuppressionExpiry();
     });
 
     server.on('error', (error) => {
@@ -275,8 +803,13 @@ const startServer = async () => {
     });
 
     // Handle shutdown gracefully
-    process.on('SIGTERM', () => {
+    process.on('SIGTERM', async () => {
       console.log('SIGTERM received. Shutting down gracefully...');
+      stopScheduler();
+      stopWebhookDispatcher();
+      stopSuppressionExpiry();
+      await stopQueue().catch(error => console.error('Failed to stop job queue:', error));
+      await closeBrowserPool();
       server.close(() => {
         console.log('Server closed');
         process.exit(0);
@@ -0,0 +1,71 @@
+// Assigns owners to reports created before ownership was recorded.
+//
+//   node scripts/migrate-report-owners.js [--user <clerkUserId>] [--org <clerkOrgId>] [--dry-run]
+//
+// 1. Scheduled reports take the owner of their schedule.
+// 2. With --user and/or --org, the remaining unowned admin and scheduled reports go to that owner.
+//    Public scans are left unowned; they are reachable with a share token only.
+// 3. Site page reports take the owner of their site report.
+import mongoose from 'mongoose';
+import { ensureConnection } from '../utils/db.js';
+
+const argValue = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const dryRun = process.argv.includes('--dry-run');
+const userId = argValue('--user');
+const orgId = argValue('--org');
+
+const UNOWNED = { createdBy: null, orgId: null };
+
+const apply = async (Model, filter, update, label) => {
+  const count = await Model.countDocuments(filter);
+  if (count && !dryRun) {
+    await Model.updateMany(filter, update);
+  }
+  console.log(`${dryRun ? '[dry run] ' : ''}${label}: ${count} report(s)`);
+  return count;
+};
+
+const migrate = async () => {
+  await ensureConnection();
+  const Report = mongoose.model('Report');
+  const Schedule = mongoose.model('Schedule');
+
+  const schedules = await Schedule.find({ createdBy: { $ne: null } }).select('createdBy orgId');
+  for (const schedule of schedules) {
+    await apply(Report, { ...UNOWNED, schedule: schedule._id, parentReport: null },
+      { createdBy: schedule.createdBy, orgId: schedule.orgId }, `Schedule ${schedule._id}`);
+  }
+
+  if (userId || orgId) {
+    await apply(Report, { ...UNOWNED, type: { $ne: 'public' }, parentReport: null },
+      { createdBy: userId, orgId }, `Assigned to ${[userId, orgId].filter(Boolean).join(' / ')}`);
+  }
+
+  // Page reports follow their site report (in a dry run the parents are not updated yet)
+  const parents = await Report.find({ mode: 'site', $or: [{ createdBy: { $ne: null } }, { orgId: { $ne: null } }] })
+    .select('createdBy orgId');
+  let pages = 0;
+  for (const parent of parents) {
+    const filter = { ...UNOWNED, parentReport: parent._id };
+    const count = await Report.countDocuments(filter);
+    if (count && !dryRun) {
+      await Report.updateMany(filter, { createdBy: parent.createdBy, orgId: parent.orgId });
+    }
+    pages += count;
+  }
+  console.log(`${dryRun ? '[dry run] ' : ''}Site pages: ${pages} report(s)`);
+
+  const remaining = await Report.countDocuments({ ...UNOWNED, type: { $ne: 'public' } });
+  console.log(`${remaining} non-public report(s) still have no owner${remaining && !userId && !orgId ? '; pass --user or --org to assign them' : ''}`);
+};
+
+migrate()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Owner migration failed:', error);
+    process.exit(1);
+  });
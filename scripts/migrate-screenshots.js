@@ -0,0 +1,46 @@
+// Moves inline base64 screenshots out of existing reports into the blob store.
+// Safe to re-run: reports without inline images are left untouched.
+//
+//   node scripts/migrate-screenshots.js [--dry-run]
+import mongoose from 'mongoose';
+import { ensureConnection } from '../utils/db.js';
+import { storeScreenshots } from '../utils/screenshots.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  await ensureConnection();
+  const Report = mongoose.model('Report');
+  let scanned = 0;
+  let migrated = 0;
+  let screenshots = 0;
+
+  const cursor = Report.find({ result: { $ne: null } }).select('_id url result').lean().cursor();
+  for await (const report of cursor) {
+    scanned++;
+    if (dryRun) {
+      // Count what would move without writing anything
+      const count = JSON.stringify(report.result).match(/"(?:page)?[sS]creenshot":"data:image\//g)?.length || 0;
+      if (count) {
+        migrated++;
+        screenshots += count;
+      }
+      continue;
+    }
+    const count = await storeScreenshots(report._id, report.result);
+    if (!count) continue;
+    await Report.updateOne({ _id: report._id }, { result: report.result });
+    migrated++;
+    screenshots += count;
+    console.log(`Report ${report._id} (${report.url}): moved ${count} screenshot(s)`);
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Scanned ${scanned} report(s), ${migrated} with inline screenshots, ${screenshots} screenshot(s) ${dryRun ? 'to move' : 'moved'}`);
+};
+
+migrate()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Screenshot migration failed:', error);
+    process.exit(1);
+  });
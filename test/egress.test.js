@@ -0,0 +1,139 @@
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import dns from 'dns';
+import http from 'http';
+import { classifyIp, assertPublicUrl, fetchPublic, publicLookup, EGRESS_BLOCKED } from '../utils/egress.js';
+
+// A local server that counts the requests reaching it
+const listen = async () => {
+  const server = http.createServer((req, res) => {
+    server.requests++;
+    res.end('ok');
+  });
+  server.requests = 0;
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return server;
+};
+
+const isBlocked = (error) => error.code === EGRESS_BLOCKED;
+
+describe('classifyIp', () => {
+  const cases = [
+    ['8.8.8.8', null],
+    ['2606:4700::1111', null],
+    ['127.0.0.1', 'loopback'],
+    ['10.1.2.3', 'private'],
+    ['100.63.255.255', null],
+    ['100.64.0.1', 'shared address space'],
+    ['100.127.255.255', 'shared address space'],
+    ['100.128.0.0', null],
+    ['172.15.255.255', null],
+    ['172.16.0.0', 'private'],
+    ['172.31.255.255', 'private'],
+    ['172.32.0.0', null],
+    ['169.254.169.254', 'link-local'],
+    ['::1', 'loopback'],
+    ['[::1]', 'loopback'],
+    ['::', 'unspecified'],
+    ['fe80::1%eth0', 'link-local'],
+    ['[fe80::1%25eth0]', 'link-local'],
+    ['fd00::1', 'unique local'],
+    ['::ffff:127.0.0.1', 'loopback'],
+    ['::ffff:7f00:1', 'loopback'],
+    ['::FFFF:10.0.0.1', 'private'],
+    ['::ffff:8.8.8.8', null],
+    ['64:ff9b::a00:1', 'private'],
+    ['64:ff9b::8.8.8.8', null],
+    ['2002:7f00:1::', 'loopback'],
+    ['2002:a9fe:a9fe::1', 'link-local'],
+    ['2002:808:808::', null],
+    ['localhost', 'invalid'],
+    ['', 'invalid']
+  ];
+  for (const [ip, expected] of cases) {
+    it(`classifies ${ip || '(empty)'} as ${expected}`, () => {
+      assert.equal(classifyIp(ip), expected);
+    });
+  }
+});
+
+describe('assertPublicUrl', () => {
+  for (const url of [
+    'file:///etc/passwd',
+    'ftp://example.com/',
+    'http://127.0.0.1/',
+    'http://[::1]:8080/',
+    'http://[::ffff:127.0.0.1]/',
+    'http://0x7f000001/',
+    'http://2130706433/',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://localhost:3000/'
+  ]) {
+    it(`rejects ${url}`, async () => {
+      await assert.rejects(assertPublicUrl(url), isBlocked);
+    });
+  }
+
+  it('rejects a malformed URL', async () => {
+    await assert.rejects(assertPublicUrl('not a url'), /Invalid URL/);
+  });
+
+  it('accepts a public address', async () => {
+    await assertPublicUrl('https://8.8.8.8/');
+  });
+});
+
+describe('publicLookup', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('fails for a host that resolves to a forbidden address', async () => {
+    mock.method(dns, 'lookup', (hostname, options, callback) => {
+      callback(null, [{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }]);
+    });
+    const error = await new Promise(resolve => publicLookup('mixed.test', {}, resolve));
+    assert.ok(isBlocked(error));
+  });
+
+  it('answers in the form the caller asked for', async () => {
+    mock.method(dns, 'lookup', (hostname, options, callback) => {
+      callback(null, [{ address: '93.184.216.34', family: 4 }]);
+    });
+    const single = await new Promise(resolve => publicLookup('example.test', {}, (...args) => resolve(args)));
+    assert.deepEqual(single, [null, '93.184.216.34', 4]);
+    const all = await new Promise(resolve => publicLookup('example.test', { all: true }, (...args) => resolve(args)));
+    assert.deepEqual(all, [null, [{ address: '93.184.216.34', family: 4 }]]);
+  });
+});
+
+describe('fetchPublic', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('never connects to a forbidden address', async () => {
+    const server = await listen();
+    try {
+      const { port } = server.address();
+      await assert.rejects(fetchPublic(`http://127.0.0.1:${port}/`), isBlocked);
+      await assert.rejects(fetchPublic(`http://localhost:${port}/`), isBlocked);
+      assert.equal(server.requests, 0);
+    } finally {
+      server.close();
+    }
+  });
+
+  it('connects to the address it checked, not to a second DNS answer', async () => {
+    const server = await listen();
+    try {
+      const { port } = server.address();
+      // The check sees a public address; the connection's lookup is answered with the
+      // local server, as a rebinding DNS server would
+      mock.method(dns.promises, 'lookup', async () => [{ address: '93.184.216.34', family: 4 }]);
+      mock.method(dns, 'lookup', (hostname, options, callback) => {
+        callback(null, [{ address: '127.0.0.1', family: 4 }]);
+      });
+      await assert.rejects(fetchPublic(`http://rebind.test:${port}/`), isBlocked);
+      assert.equal(server.requests, 0);
+    } finally {
+      server.close();
+    }
+  });
+});
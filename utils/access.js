@@ -0,0 +1,40 @@
+// Report (and schedule) ownership. A report belongs to the Clerk user who requested it and, when they were
+// working in an organization, to that organization too: members whose active organization
+// matches can see it. Anyone else, including for reports without an owner (public scans), needs a share
+// token (see shares.js).
+
+// Fields to store on a report created by this session
+export const ownerFields = (auth) => ({
+  createdBy: auth?.userId || undefined,
+  orgId: auth?.orgId || undefined
+});
+
+// Query filter matching the reports a session owns directly or through its organization
+export const ownershipFilter = (auth) => ({
+  $or: [
+    { createdBy: auth.userId },
+    ...(auth.orgId ? [{ orgId: auth.orgId }] : [])
+  ]
+});
+
+// Query filter matching reports with the same owner as `report`: its organization's when it
+// has one, otherwise its creator's personal reports (or, for unowned reports, other unowned ones)
+export const sameOwnerFilter = (report) => (
+  report.orgId ? { orgId: report.orgId } : { createdBy: report.createdBy ?? null, orgId: null }
+);
+
+export const isOwned = (report) => Boolean(report.createdBy || report.orgId);
+
+export const ownsReport = (report, auth) => Boolean(auth?.userId) && (
+  report.createdBy === auth.userId ||
+  (Boolean(report.orgId) && report.orgId === auth.orgId)
+);
+
+// auth.role is set by the role middleware in clerk.js
+export const isAdmin = (auth) => auth?.role === 'admin';
+
+// Signed-in access only; routes that accept share tokens use canViewReport in shares.js
+export const canReadReport = (report, auth) => ownsReport(report, auth) || isAdmin(auth);
+
+// Deleting or changing a report or schedule takes ownership, or the admin role
+export const canManage = (doc, auth) => ownsReport(doc, auth) || isAdmin(auth);
@@ -0,0 +1,126 @@
+// Interaction scripts run after page load and before analysis, so a scan can audit
+// UI states such as an open menu or modal
+const ACTION_TIMEOUT_MS = 15000;
+const MAX_ACTIONS = 50;
+const MAX_STATES = 10;
+
+const ACTION_TYPES = ['click', 'type', 'select', 'hover', 'press', 'waitForSelector', 'scroll', 'wait'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const validateAction = (action, path) => {
+  if (!isPlainObject(action) || !ACTION_TYPES.includes(action.type)) {
+    throw new Error(`${path}.type must be one of ${ACTION_TYPES.join(', ')}`);
+  }
+  const { type, selector, text, value, key, state, x, y, ms } = action;
+  if (['click', 'type', 'select', 'hover', 'waitForSelector'].includes(type) && typeof selector !== 'string') {
+    throw new Error(`${path} needs a selector`);
+  }
+  switch (type) {
+    case 'type':
+      if (typeof text !== 'string') throw new Error(`${path} needs a text string`);
+      return { type, selector, text };
+    case 'select': {
+      const values = Array.isArray(value) ? value : [value];
+      if (!values.length || values.some(v => typeof v !== 'string')) throw new Error(`${path} needs a value (string or array of strings)`);
+      return { type, selector, value: values };
+    }
+    case 'press':
+      if (typeof key !== 'string') throw new Error(`${path} needs a key, e.g. "Escape"`);
+      return { type, key, ...(selector ? { selector } : {}) };
+    case 'waitForSelector':
+      if (state && !['visible', 'hidden', 'attached'].includes(state)) throw new Error(`${path}.state must be visible, hidden or attached`);
+      return { type, selector, state: state || 'visible' };
+    case 'scroll':
+      return selector ? { type, selector } : { type, x: Number(x) || 0, y: Number(y) || 0 };
+    case 'wait':
+      return { type, ms: Math.min(Math.max(parseInt(ms, 10) || 500, 0), ACTION_TIMEOUT_MS) };
+    default:
+      return { type, selector };
+  }
+};
+
+export const validateActions = (actions, path = 'actions') => {
+  if (!Array.isArray(actions) || actions.length > MAX_ACTIONS) {
+    throw new Error(`${path} must be an array of at most ${MAX_ACTIONS} actions`);
+  }
+  return actions.map((action, index) => validateAction(action, `${path}[${index}]`));
+};
+
+// A request carries either `actions` (one state) or `states` ([{ name, actions }]); neither means
+// a single scan of the page as loaded. Returns null in that case.
+export const validateStates = ({ actions, states } = {}) => {
+  if (states !== undefined) {
+    if (!Array.isArray(states) || !states.length || states.length > MAX_STATES) {
+      throw new Error(`states must be an array of 1 to ${MAX_STATES} states`);
+    }
+    const names = new Set();
+    return states.map((state, index) => {
+      if (!isPlainObject(state) || typeof state.name !== 'string' || !state.name.trim()) {
+        throw new Error(`states[${index}] needs a name`);
+      }
+      if (names.has(state.name)) {
+        throw new Error(`states[${index}].name '${state.name}' is used twice`);
+      }
+      names.add(state.name);
+      return { name: state.name.trim(), actions: validateActions(state.actions || [], `states[${index}].actions`) };
+    });
+  }
+  if (actions !== undefined) {
+    return [{ name: 'default', actions: validateActions(actions) }];
+  }
+  return null;
+};
+
+export const runActions = async (page, actions = []) => {
+  for (const [index, action] of actions.entries()) {
+    console.log(`Action ${index + 1}/${actions.length}: ${action.type}`);
+    try {
+      switch (action.type) {
+        case 'click':
+          await page.waitForSelector(action.selector, { visible: true, timeout: ACTION_TIMEOUT_MS });
+          await page.click(action.selector);
+          break;
+        case 'type':
+          await page.waitForSelector(action.selector, { visible: true, timeout: ACTION_TIMEOUT_MS });
+          await page.type(action.selector, action.text);
+          break;
+        case 'select':
+          await page.waitForSelector(action.selector, { timeout: ACTION_TIMEOUT_MS });
+          await page.select(action.selector, ...action.value);
+          break;
+        case 'hover':
+          await page.waitForSelector(action.selector, { visible: true, timeout: ACTION_TIMEOUT_MS });
+          await page.hover(action.selector);
+          break;
+        case 'press':
+          if (action.selector) await page.focus(action.selector);
+          await page.keyboard.press(action.key);
+          break;
+        case 'waitForSelector':
+          await page.waitForSelector(action.selector, {
+            visible: action.state === 'visible',
+            hidden: action.state === 'hidden',
+            timeout: ACTION_TIMEOUT_MS
+          });
+          break;
+        case 'scroll':
+          if (action.selector) {
+            await page.$eval(action.selector, el => el.scrollIntoView({ block: 'center' }));
+          } else {
+            await page.evaluate((x, y) => window.scrollTo(x, y), action.x, action.y);
+          }
+          break;
+        case 'wait':
+          await new Promise(resolve => setTimeout(resolve, action.ms));
+          break;
+        default:
+          throw new Error(`Unknown action '${action.type}'`);
+      }
+    } catch (error) {
+      throw new Error(`Action ${index + 1} (${action.type}) failed: ${error.message}`);
+    }
+    // Give transitions and re-renders a moment to settle
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+};
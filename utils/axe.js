@@ -0,0 +1,85 @@
+import fs from 'fs';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+// axe-core ships with the app rather than coming from a CDN, so scans work
+// under strict CSP and without outbound access to third-party hosts
+export const AXE_VERSION = require('axe-core/package.json').version;
+
+let axeSource = null;
+const getAxeSource = () => {
+  if (!axeSource) {
+    axeSource = fs.readFileSync(require.resolve('axe-core/axe.min.js'), 'utf8');
+  }
+  return axeSource;
+};
+
+const MAX_TAGS = 20;
+const MAX_RULES = 100;
+
+// Rules the scan has always switched on explicitly, on top of the selected tags
+const DEFAULT_RULES = {
+  'color-contrast': true,
+  'document-title': true,
+  'html-has-lang': true,
+  'image-alt': true,
+  'link-name': true,
+  'meta-viewport': true
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Validates a request's axe config ({ tags: ['wcag22aa', 'best-practice'], rules: { 'region': false } });
+// returns null when none was given. Unknown tags or rule ids are reported by axe when the scan runs.
+export const validateAxeConfig = (config) => {
+  if (config === undefined || config === null) return null;
+  if (!isPlainObject(config)) {
+    throw new Error('axeConfig must be an object');
+  }
+  const clean = {};
+  if (config.tags !== undefined) {
+    if (!Array.isArray(config.tags) || !config.tags.length || config.tags.length > MAX_TAGS ||
+      config.tags.some(tag => typeof tag !== 'string' || !/^[\w.-]+$/.test(tag))) {
+      throw new Error(`axeConfig.tags must be an array of 1 to ${MAX_TAGS} tags, e.g. "wcag21aa" or "best-practice"`);
+    }
+    clean.tags = [...new Set(config.tags)];
+  }
+  if (config.rules !== undefined) {
+    if (!isPlainObject(config.rules) || Object.keys(config.rules).length > MAX_RULES ||
+      Object.values(config.rules).some(enabled => typeof enabled !== 'boolean')) {
+      throw new Error(`axeConfig.rules must map at most ${MAX_RULES} rule ids to true or false`);
+    }
+    clean.rules = { ...config.rules };
+  }
+  return clean;
+};
+
+// The tags and rule switches a scan runs with; tags default to the WCAG level's
+export const resolveAxeRunConfig = (wcagLevel, config) => ({
+  tags: config?.tags || [wcagLevel === 'AAA' ? 'wcag2aaa' : 'wcag2aa'],
+  rules: { ...DEFAULT_RULES, ...(config?.rules || {}) }
+});
+
+// Evaluates the bundled axe source in the page; unlike a script tag this is not subject to the page's CSP
+export const injectAxe = async (page) => {
+  await page.evaluate(getAxeSource());
+};
+
+// axe reports no impact on passes; they get their rule's, so scores weigh a passed rule as
+// much as its failure would (see score.js)
+export const runAxe = (page, { tags, rules }) => page.evaluate(async (tags, rules) => {
+  const results = await window.axe.run(document, {
+    resultTypes: ['violations', 'passes', 'incomplete'],
+    runOnly: {
+      type: 'tag',
+      values: tags
+    },
+    rules: Object.fromEntries(Object.entries(rules).map(([id, enabled]) => [id, { enabled }]))
+  });
+  const impacts = Object.fromEntries(window.axe._audit.rules.map(rule => [rule.id, rule.impact]));
+  for (const pass of results.passes) {
+    pass.impact = pass.impact || impacts[pass.id] || null;
+  }
+  return results;
+}, tags, rules);
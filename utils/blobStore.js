@@ -0,0 +1,115 @@
+import fs from 'fs/promises';
+import path from 'path';
+import mongoose from 'mongoose';
+import { ensureConnection } from './db.js';
+
+// Binary blobs (screenshots) live outside report documents. Keys look like
+// '<reportId>/<name>' so everything a report owns can be removed by prefix.
+// BLOB_STORE picks the backend: 'gridfs' (default) or 'fs' (under BLOB_STORE_DIR).
+const GRIDFS_BUCKET = 'blobs';
+const FS_ROOT = path.resolve(process.env.BLOB_STORE_DIR || './data/blobs');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const gridfsBackend = () => {
+  const getBucket = async () => {
+    await ensureConnection();
+    return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: GRIDFS_BUCKET });
+  };
+  const findFile = async (bucket, key) => (await bucket.find({ filename: key }).limit(1).toArray())[0] || null;
+
+  return {
+    async put(key, buffer, contentType) {
+      const bucket = await getBucket();
+      // Content-addressed keys never change, so an existing file is the same blob
+      if (await findFile(bucket, key)) return;
+      await new Promise((resolve, reject) => {
+        bucket.openUploadStream(key, { metadata: { contentType } })
+          .on('finish', resolve)
+          .on('error', reject)
+          .end(buffer);
+      });
+    },
+    async get(key) {
+      const bucket = await getBucket();
+      const file = await findFile(bucket, key);
+      if (!file) return null;
+      const chunks = [];
+      for await (const chunk of bucket.openDownloadStream(file._id)) chunks.push(chunk);
+      return { buffer: Buffer.concat(chunks), contentType: file.metadata?.contentType || 'application/octet-stream' };
+    },
+    async deletePrefix(prefix) {
+      const bucket = await getBucket();
+      const files = await bucket.find({ filename: { $regex: `^${escapeRegex(prefix)}` } }).toArray();
+      for (const file of files) await bucket.delete(file._id);
+      return files.length;
+    }
+  };
+};
+
+const fsBackend = (root) => {
+  // Keys are built from ObjectIds and hashes, but never let one escape the root
+  const resolveKey = (key) => {
+    const target = path.resolve(root, key);
+    if (!target.startsWith(root + path.sep)) {
+      throw new Error(`Invalid blob key '${key}'`);
+    }
+    return target;
+  };
+
+  return {
+    async put(key, buffer, contentType) {
+      const target = resolveKey(key);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, buffer);
+      await fs.writeFile(`${target}.type`, contentType);
+    },
+    async get(key) {
+      const target = resolveKey(key);
+      try {
+        const [buffer, contentType] = await Promise.all([
+          fs.readFile(target),
+          fs.readFile(`${target}.type`, 'utf8').catch(() => 'application/octet-stream')
+        ]);
+        return { buffer, contentType };
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    },
+    async deletePrefix(prefix) {
+      // Prefixes are '<reportId>/', i.e. a directory
+      const target = resolveKey(prefix.replace(/\/$/, ''));
+      const entries = await fs.readdir(target).catch(() => []);
+      await fs.rm(target, { recursive: true, force: true });
+      return entries.filter(name => !name.endsWith('.type')).length;
+    }
+  };
+};
+
+const BACKENDS = {
+  gridfs: () => gridfsBackend(),
+  fs: () => fsBackend(FS_ROOT)
+};
+
+let store = null;
+
+const getStore = () => {
+  if (!store) {
+    const name = process.env.BLOB_STORE || 'gridfs';
+    if (!BACKENDS[name]) {
+      throw new Error(`Unknown BLOB_STORE '${name}', expected one of ${Object.keys(BACKENDS).join(', ')}`);
+    }
+    store = BACKENDS[name]();
+  }
+  return store;
+};
+
+// Swaps in another backend implementing put/get/deletePrefix (e.g. object storage)
+export const setBlobStore = (backend) => {
+  store = backend;
+};
+
+export const putBlob = (key, buffer, contentType) => getStore().put(key, buffer, contentType);
+export const getBlob = (key) => getStore().get(key);
+export const deleteBlobs = (prefix) => getStore().deletePrefix(prefix);
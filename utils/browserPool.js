@@ -0,0 +1,210 @@
+import puppeteer from 'puppeteer';
+import puppeteerExtra from 'puppeteer-extra';
+import StealthPlugin from 'puppeteer-extra-plugin-stealth';
+
+// Shared Chromium instances for the scanner and the PDF generator. Work runs in leases: each
+// lease is a fresh incognito context (its own cookies, storage and cache) on one of the pooled
+// browsers, closed when released. Browsers are replaced after a number of leases, when a health
+// check fails and when they crash.
+const POOL_SIZE = parseInt(process.env.BROWSER_POOL_SIZE, 10) || 2;
+// Browsers with the stealth evasions, for the bot-protection check only
+const STEALTH_POOL_SIZE = parseInt(process.env.BROWSER_STEALTH_POOL_SIZE, 10) || 1;
+const MAX_CONTEXTS_PER_BROWSER = parseInt(process.env.BROWSER_MAX_CONTEXTS, 10) || 4;
+// Long-lived Chromium processes grow; a browser is retired after this many leases
+const MAX_USES = parseInt(process.env.BROWSER_MAX_USES, 10) || 50;
+const HEALTH_CHECK_INTERVAL_MS = 60 * 1000;
+const HEALTH_CHECK_TIMEOUT_MS = 5 * 1000;
+
+// Audits and PDFs see pages as a plain Chromium would; only the stealth kind's browsers, launched
+// through puppeteer-extra, get the evasions
+puppeteerExtra.use(StealthPlugin());
+
+const LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-gpu',
+  '--disable-accelerated-2d-canvas',
+  '--disable-extensions',
+  '--no-first-run',
+  '--no-default-browser-check',
+  '--no-pings',
+  '--mute-audio',
+  '--hide-scrollbars',
+  '--force-color-profile=srgb',
+  '--password-store=basic',
+  '--use-mock-keychain',
+  '--metrics-recording-only',
+  // Pages in background contexts must keep running at full speed
+  '--disable-background-timer-throttling',
+  '--disable-backgrounding-occluded-windows',
+  '--disable-renderer-backgrounding'
+];
+
+const KINDS = {
+  plain: { launcher: puppeteer, size: POOL_SIZE, args: LAUNCH_ARGS },
+  stealth: {
+    launcher: puppeteerExtra,
+    size: STEALTH_POOL_SIZE,
+    // Bot-protection checks look for these
+    args: [...LAUNCH_ARGS, '--disable-blink-features=AutomationControlled']
+  }
+};
+
+// { kind, browser, uses, active, retiring }
+const entries = [];
+// Resolvers of acquire() calls waiting for a free slot
+const waiters = [];
+// Browsers being launched, per kind
+const launching = { plain: 0, stealth: 0 };
+let healthTimer = null;
+
+const wakeWaiters = () => {
+  while (waiters.length) waiters.shift()();
+};
+
+const removeEntry = (entry) => {
+  const index = entries.indexOf(entry);
+  if (index !== -1) entries.splice(index, 1);
+};
+
+// Closes a browser once its last lease is released
+const retire = (entry, reason) => {
+  if (!entry.retiring) {
+    entry.retiring = true;
+    console.log(`Retiring pooled browser (${reason})`);
+  }
+  if (entry.active === 0) {
+    removeEntry(entry);
+    entry.browser.close().catch(error => console.error('Failed to close pooled browser:', error.message));
+  }
+  wakeWaiters();
+};
+
+const launchEntry = async (kind) => {
+  const { launcher, size, args } = KINDS[kind];
+  launching[kind]++;
+  try {
+    const browser = await launcher.launch({
+      args,
+      headless: 'new',
+      executablePath: process.env.CHROME_BIN || undefined
+    });
+    const entry = { kind, browser, uses: 0, active: 0, retiring: false };
+    browser.on('disconnected', () => {
+      // Leases on a crashed browser fail by themselves; new ones go elsewhere
+      if (entries.includes(entry)) {
+        console.error('Pooled browser disconnected, it will be replaced');
+        removeEntry(entry);
+        wakeWaiters();
+      }
+    });
+    entries.push(entry);
+    console.log(`Launched pooled ${kind} browser ${entries.filter(other => other.kind === kind).length}/${size}`);
+    return entry;
+  } finally {
+    launching[kind]--;
+  }
+};
+
+// The least busy healthy browser of a kind with room for another context, launching one while
+// that kind is below size; waits for a release when every browser is full
+const reserveBrowser = async (kind) => {
+  for (;;) {
+    const available = entries
+      .filter(entry => entry.kind === kind && !entry.retiring && entry.browser.connected && entry.active < MAX_CONTEXTS_PER_BROWSER)
+      .sort((a, b) => a.active - b.active);
+    if (available.length) return available[0];
+    if (entries.filter(entry => entry.kind === kind && !entry.retiring).length + launching[kind] < KINDS[kind].size) {
+      return launchEntry(kind);
+    }
+    await new Promise(resolve => waiters.push(resolve));
+  }
+};
+
+// Returns { context, release }. `context` is a new incognito BrowserContext; release() closes it
+// (and every page in it) and may be called more than once. With `stealth`, the context is on a
+// browser with the stealth evasions.
+export const acquireContext = async ({ stealth = false } = {}) => {
+  startHealthChecks();
+  const entry = await reserveBrowser(stealth ? 'stealth' : 'plain');
+  entry.active++;
+  entry.uses++;
+  let context;
+  try {
+    context = await entry.browser.createBrowserContext();
+  } catch (error) {
+    entry.active--;
+    retire(entry, `could not open a context: ${error.message}`);
+    throw error;
+  }
+  let released = false;
+  const release = async () => {
+    if (released) return;
+    released = true;
+    await context.close().catch(() => {
+      // Already gone with its browser
+    });
+    entry.active--;
+    if (entry.retiring || entry.uses >= MAX_USES) {
+      retire(entry, `${entry.uses} uses`);
+    } else {
+      wakeWaiters();
+    }
+  };
+  return { context, release };
+};
+
+// Runs fn(context) in its own lease, released when fn settles
+export const withBrowserContext = async (fn) => {
+  const { context, release } = await acquireContext();
+  try {
+    return await fn(context);
+  } finally {
+    await release();
+  }
+};
+
+const checkHealth = async () => {
+  for (const entry of [...entries]) {
+    if (entry.retiring || entry.active > 0) continue;
+    let timer;
+    try {
+      await Promise.race([
+        entry.browser.version(),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error('no response')), HEALTH_CHECK_TIMEOUT_MS);
+        })
+      ]);
+    } catch (error) {
+      retire(entry, `health check failed: ${error.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+};
+
+const startHealthChecks = () => {
+  if (healthTimer) return;
+  healthTimer = setInterval(() => {
+    checkHealth().catch(error => console.error('Browser pool health check failed:', error.message));
+  }, HEALTH_CHECK_INTERVAL_MS);
+  // The pool alone never keeps the process alive
+  healthTimer.unref();
+};
+
+// Launches the plain browsers up front so the first scans don't wait for Chromium to start
+export const warmBrowserPool = async () => {
+  const missing = POOL_SIZE - entries.filter(entry => entry.kind === 'plain').length - launching.plain;
+  await Promise.all(Array.from({ length: Math.max(missing, 0) }, () => launchEntry('plain')));
+  startHealthChecks();
+};
+
+// Closes every pooled browser, including ones with leases still open
+export const closeBrowserPool = async () => {
+  clearInterval(healthTimer);
+  healthTimer = null;
+  const closing = entries.splice(0);
+  await Promise.all(closing.map(entry => entry.browser.close().catch(() => {})));
+  wakeWaiters();
+};
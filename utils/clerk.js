@@ -1,2 +1,74 @@
-import { ClerkExpressRequireAuth } from '@clerk/clerk-sdk-node';
-export const authMiddleware = ClerkExpressRequireAuth();
\ No newline at end of file
+import { ClerkExpressRequireAuth, ClerkExpressWithAuth, clerkClient } from '@clerk/clerk-sdk-node';
+
+// Lowest to highest: viewers read, members also scan and manage their own reports and
+// schedules, admins can do anything to anyone's. Admin is app-wide, so it only comes from
+// publicMetadata.role, which only we can set.
+export const ROLES = ['viewer', 'member', 'admin'];
+
+// Role for signed-in users with neither a metadata role nor an organization role
+const DEFAULT_ROLE = ROLES.includes(process.env.DEFAULT_USER_ROLE) ? process.env.DEFAULT_USER_ROLE : 'viewer';
+const ROLE_CACHE_TTL_MS = 5 * 60 * 1000;
+
+const roleCache = new Map();
+
+const rank = (role) => ROLES.indexOf(role);
+
+// Clerk org roles look like 'org:admin' / 'org:member' (or 'admin' / 'basic_member' on older instances).
+// Anyone can create an organization and be its admin, so an org role grants at most 'member';
+// the organization's own reports are already shared with its members through orgId.
+const roleFromOrgRole = (orgRole) => {
+  const name = String(orgRole || '').replace(/^org:/, '');
+  if (['admin', 'member', 'basic_member'].includes(name)) return 'member';
+  if (name === 'viewer') return 'viewer';
+  return null;
+};
+
+// publicMetadata.role, from the session token when it is configured to carry the metadata,
+// otherwise from the Clerk API (cached briefly)
+const metadataRole = async (auth) => {
+  const claimed = auth.sessionClaims?.metadata?.role ?? auth.sessionClaims?.publicMetadata?.role;
+  if (claimed !== undefined) return ROLES.includes(claimed) ? claimed : null;
+
+  const cached = roleCache.get(auth.userId);
+  if (cached && cached.expiresAt > Date.now()) return cached.role;
+  const user = await clerkClient.users.getUser(auth.userId);
+  const role = ROLES.includes(user.publicMetadata?.role) ? user.publicMetadata.role : null;
+  roleCache.set(auth.userId, { role, expiresAt: Date.now() + ROLE_CACHE_TTL_MS });
+  return role;
+};
+
+// The higher of the user's metadata role and their role in the active organization
+export const resolveRole = async (auth) => {
+  const candidates = [await metadataRole(auth), roleFromOrgRole(auth.orgRole)].filter(Boolean);
+  if (!candidates.length) return DEFAULT_ROLE;
+  return candidates.reduce((best, role) => (rank(role) > rank(best) ? role : best));
+};
+
+// Sets req.auth.role for signed-in requests
+const loadRole = async (req, res, next) => {
+  if (!req.auth?.userId || req.auth.role) return next();
+  try {
+    req.auth.role = await resolveRole(req.auth);
+    next();
+  } catch (error) {
+    console.error(`Failed to resolve the role of user ${req.auth.userId}:`, error);
+    res.status(500).json({ error: 'Failed to check permissions', details: error.message });
+  }
+};
+
+export const authMiddleware = ClerkExpressRequireAuth();
+
+// Sets req.auth (and its role) when a valid session is present but lets anonymous requests through
+export const optionalAuthMiddleware = [ClerkExpressWithAuth(), loadRole];
+
+// Use after authMiddleware: app.post('/path', authMiddleware, requireRole('member'), handler)
+export const requireRole = (minimum) => [
+  loadRole,
+  (req, res, next) => {
+    if (rank(req.auth.role) >= rank(minimum)) return next();
+    res.status(403).json({
+      error: 'Forbidden',
+      details: `This action requires the '${minimum}' role or higher; your role is '${req.auth.role}'`
+    });
+  }
+];
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { sameOwnerFilter } from './access.js';
 
 // Construct MongoDB URI from components
 const constructMongoURI = () => {
@@ -30,15 +31,9 @@ const constructMongoURI = () => {
   return `mongodb://${username}:${password}@${host}:${port}`;
 };
 
-// Get MongoDB URI
-const MONGODB_URI = constructMongoURI();
-
-// Validate MongoDB URI
-if (!MONGODB_URI) {
-  console.error('Failed to construct MongoDB URI from environment variables');
-  console.error('Please ensure all required MongoDB connection variables are set in Railway');
-  process.exit(1);
-}
+// Resolved on first connect, so modules that import this one (through diff.js, say) also load
+// where no database is configured, like the command-line scanner
+let mongodbUri = null;
 
 // MongoDB connection options
 const mongooseOptions = {
@@ -68,6 +63,12 @@ const connectWithRetry = async () => {
     return connectionPromise;
   }
 
+  mongodbUri = mongodbUri || constructMongoURI();
+  if (!mongodbUri) {
+    console.error('Please ensure all required MongoDB connection variables are set in Railway');
+    throw new Error('Failed to construct MongoDB URI from environment variables');
+  }
+
   isConnecting = true;
   connectionPromise = new Promise(async (resolve, reject) => {
     let retries = 5;
@@ -75,7 +76,7 @@ const connectWithRetry = async () => {
       try {
         console.log(`Attempting to connect to MongoDB (${retries} retries left)...`);
         console.log('Using MongoDB host:', process.env.MONGOHOST);
-        await mongoose.connect(MONGODB_URI, mongooseOptions);
+        await mongoose.connect(mongodbUri, mongooseOptions);
         console.log('Successfully connected to MongoDB');
         resolve();
         return;
@@ -101,8 +102,8 @@ const connectWithRetry = async () => {
   }
 };
 
-// Initialize connection
-connectWithRetry().catch(err => {
+// Initial connection of the server; it can't run without the database
+export const connectDatabase = () => connectWithRetry().catch(err => {
   console.error('Initial MongoDB connection failed:', err);
   process.exit(1);
 });
@@ -129,7 +130,7 @@ mongoose.connection.on('connected', () => {
 });
 
 // Ensure connection before operations
-const ensureConnection = async () => {
+export const ensureConnection = async () => {
   if (mongoose.connection.readyState !== 1) {
     console.log('MongoDB not connected, attempting to connect...');
     await connectWithRetry();
@@ -139,22 +140,100 @@ const ensureConnection = async () => {
 const reportSchema = new mongoose.Schema({
   url: String,
   email: String,
+  // Public scans: the address as normalized for rate limiting (see publicScans.js)
+  emailNormalized: { type: String, index: true },
   result: Object,
   type: String,
+  wcagLevel: String,
   status: { type: String, default: 'pending' },
+  // 'page' audits a single URL, 'site' aggregates child page reports
+  mode: { type: String, default: 'page' },
+  crawl: Object,
+  // Encrypted scan credentials; never selected unless asked for with '+auth'
+  auth: { type: String, select: false },
+  authSummary: Object,
+  // UI states to audit, each a named list of actions (see actions.js)
+  states: Array,
+  // Viewports to audit at (see viewports.js); unset means the default desktop viewport
+  viewports: Array,
+  // axe tags and rule switches (see axe.js); unset means the WCAG level's defaults
+  axeConfig: Object,
+  // 0-100 accessibility score and issue counts, set when the scan completes (see score.js)
+  score: Number,
+  issueCounts: Object,
+  // Latest progress event while the scan runs, and a short history for the event stream (see progress.js)
+  progress: Object,
+  events: { type: Array, select: false },
+  // Owner: the Clerk user who requested the scan (or created its schedule) and their
+  // active organization at the time, if any (see access.js)
+  createdBy: { type: String, index: true },
+  orgId: { type: String, index: true },
+  parentReport: { type: mongoose.Schema.Types.ObjectId, ref: 'Report', index: true },
+  // Site reports: bumped by every write of their roll-up, so concurrent roll-ups can't overwrite
+  // each other with stale page data (see refreshSiteReport in scanJobs.js)
+  rollUpVersion: Number,
+  schedule: { type: mongoose.Schema.Types.ObjectId, ref: 'Schedule', index: true },
   createdAt: { type: Date, default: Date.now }
 });
 
+// Trend queries walk the reports of one URL in date order
+reportSchema.index({ url: 1, createdAt: 1 });
+// Report listings (see reportList.js): top-level reports, newest first by default, scoped to an
+// owner and optionally filtered; _id breaks ties for cursor pagination
+reportSchema.index({ parentReport: 1, createdAt: -1, _id: -1 });
+reportSchema.index({ createdBy: 1, parentReport: 1, createdAt: -1, _id: -1 });
+reportSchema.index({ orgId: 1, parentReport: 1, createdAt: -1, _id: -1 });
+reportSchema.index({ parentReport: 1, status: 1, createdAt: -1 });
+reportSchema.index({ parentReport: 1, type: 1, createdAt: -1 });
+reportSchema.index({ email: 1, createdAt: -1 });
+reportSchema.index({ parentReport: 1, score: -1, _id: -1 });
+
 const Report = mongoose.model('Report', reportSchema);
 
+const scheduleSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  email: String,
+  wcagLevel: String,
+  mode: { type: String, default: 'page' },
+  crawl: Object,
+  auth: { type: String, select: false },
+  authSummary: Object,
+  states: Array,
+  viewports: Array,
+  axeConfig: Object,
+  // 'daily', 'weekly', 'monthly' or 'cron' (uses the cron expression)
+  frequency: { type: String, required: true },
+  cron: String,
+  timezone: { type: String, default: 'UTC' },
+  emailResults: { type: Boolean, default: false },
+  active: { type: Boolean, default: true },
+  nextRunAt: { type: Date, index: true },
+  lastRunAt: Date,
+  lastReport: { type: mongoose.Schema.Types.ObjectId, ref: 'Report' },
+  runCount: { type: Number, default: 0 },
+  createdBy: String,
+  orgId: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+const Schedule = mongoose.model('Schedule', scheduleSchema);
+
 export const saveReport = async (data) => {
   await ensureConnection();
   return new Report(data).save();
 };
 
-export const getAllReports = async () => {
+// `filter` narrows the listing, e.g. to an owner (see access.js)
+// Top-level reports only; listing options come from reportList.js
+export const getAllReports = async (filter = {}, { sort = { createdAt: -1 }, limit = 100, select } = {}) => {
   await ensureConnection();
-  return Report.find().sort({ createdAt: -1 }).limit(100);
+  const query = Report.find({ parentReport: null, ...filter }).sort(sort).limit(limit);
+  return select ? query.select(select) : query;
+};
+
+export const getChildReports = async (parentId) => {
+  await ensureConnection();
+  return Report.find({ parentReport: parentId }).sort({ createdAt: 1 });
 };
 
 export const getReportById = async (id) => {
@@ -162,10 +241,76 @@ export const getReportById = async (id) => {
   return Report.findById(id);
 };
 
-export const canScanToday = async (email) => {
+// Only the ownership fields (and the site report, whose share tokens also cover its pages),
+// for access checks on routes that don't need the result
+export const getReportOwner = async (id) => {
   await ensureConnection();
-  const last = await Report.findOne({ email, type: 'public' }).sort({ createdAt: -1 });
+  return Report.findById(id).select('createdBy orgId parentReport');
+};
+
+// Latest completed page scan of the same URL, by the same owner, made before the given report
+export const getPreviousReport = async (report) => {
+  await ensureConnection();
+  return Report.findOne({
+    _id: { $ne: report._id },
+    url: report.url,
+    ...sameOwnerFilter(report),
+    status: 'complete',
+    mode: { $ne: 'site' },
+    createdAt: { $lt: report.createdAt }
+  }).sort({ createdAt: -1 });
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Completed reports for a trend, oldest first, without their (large) results.
+// A URL matches every page scan of it, including pages of site scans, or with mode 'site'
+// the site scans starting there; a domain matches the top-level reports on that host.
+export const getReportHistory = async ({ url, domain, mode = 'page', from, to, limit = 100, filter = {} }) => {
+  await ensureConnection();
+  const query = { ...filter, status: 'complete' };
+  if (url) {
+    query.url = url;
+    query.mode = mode === 'site' ? 'site' : { $ne: 'site' };
+  } else {
+    query.url = new RegExp(`^https?://${escapeRegex(domain)}(:\\d+)?(/|$)`, 'i');
+    query.parentReport = null;
+  }
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = from;
+    if (to) query.createdAt.$lte = to;
+  }
+  const latest = await Report.find(query)
+    .select('url mode createdAt score issueCounts')
+    .sort({ createdAt: -1 })
+    .limit(limit);
+  return latest.reverse();
+};
+
+// Takes a normalized address; reports from before normalization match on the raw one
+export const canScanToday = async (emailNormalized) => {
+  await ensureConnection();
+  const last = await Report.findOne({
+    type: 'public',
+    $or: [{ emailNormalized }, { email: emailNormalized }]
+  }).sort({ createdAt: -1 });
   if (!last) return true;
   const now = new Date();
   return (now - last.createdAt) > 24 * 60 * 60 * 1000;
-};
\ No newline at end of file
+};
+
+export const saveSchedule = async (data) => {
+  await ensureConnection();
+  return new Schedule(data).save();
+};
+
+export const getAllSchedules = async (filter = {}) => {
+  await ensureConnection();
+  return Schedule.find(filter).sort({ createdAt: -1 });
+};
+
+export const getScheduleById = async (id) => {
+  await ensureConnection();
+  return Schedule.findById(id);
+};
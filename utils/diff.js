@@ -0,0 +1,92 @@
+import { IMPACT_LEVELS, issueImpact, activeIssues } from './summary.js';
+import { getReportById, getPreviousReport } from './db.js';
+import { canReadReport } from './access.js';
+
+const MAX_CONTEXT_LENGTH = 300;
+
+const collapseWhitespace = (value) => String(value || '').replace(/\s+/g, ' ').trim();
+
+// Same rule, same element, same markup: pa11y uses code/selector/context, axe nodes rule/target/html
+export const issueKey = (issue) => {
+  const rule = issue.rule || issue.code || '';
+  const selector = issue.selector || (Array.isArray(issue.target) ? issue.target.join(' ') : '') || '';
+  const context = collapseWhitespace(issue.context || issue.html).slice(0, MAX_CONTEXT_LENGTH);
+  return `${rule}|${collapseWhitespace(selector)}|${context}`;
+};
+
+const stripScreenshot = ({ screenshot, screenshotId, screenshotUrl, ...issue }) => issue;
+
+const countByImpact = (issues) => {
+  const byImpact = Object.fromEntries(IMPACT_LEVELS.map(level => [level, 0]));
+  for (const issue of issues) {
+    byImpact[issueImpact(issue)]++;
+  }
+  return { total: issues.length, byImpact };
+};
+
+// Compares the issues of two page reports; `base` is the older scan.
+// Suppressed issues are left out of both sides unless includeSuppressed is set.
+export const diffReports = (base, current, options = {}) => {
+  const { includeScreenshots = false, includeSuppressed = false } = options;
+  const issuesOf = (report) => {
+    const issues = report.result?.unified?.issues || [];
+    return includeSuppressed ? issues : activeIssues(issues);
+  };
+  const baseIssues = issuesOf(base);
+  const currentIssues = issuesOf(current);
+
+  // Keys can repeat (same rule on identical markup), so match them as multisets
+  const remaining = new Map();
+  for (const issue of baseIssues) {
+    const key = issueKey(issue);
+    if (!remaining.has(key)) remaining.set(key, []);
+    remaining.get(key).push(issue);
+  }
+
+  const added = [];
+  const unchanged = [];
+  for (const issue of currentIssues) {
+    const matches = remaining.get(issueKey(issue));
+    if (matches && matches.length) {
+      matches.shift();
+      unchanged.push(issue);
+    } else {
+      added.push(issue);
+    }
+  }
+  const fixed = [...remaining.values()].flat();
+
+  const present = (issues) => (includeScreenshots ? issues : issues.map(stripScreenshot));
+
+  return {
+    base: { reportId: base._id, url: base.url, createdAt: base.createdAt },
+    current: { reportId: current._id, url: current.url, createdAt: current.createdAt },
+    counts: {
+      new: countByImpact(added),
+      fixed: countByImpact(fixed),
+      unchanged: countByImpact(unchanged)
+    },
+    new: present(added),
+    fixed: present(fixed),
+    unchanged: present(unchanged)
+  };
+};
+
+// Loads the baseline ('previous' or a report ID) and diffs against it; null when there is none.
+// With options.auth, a baseline that session may not read counts as missing.
+export const diffAgainst = async (report, otherId = 'previous', options = {}) => {
+  if (report.mode === 'site') {
+    throw new Error('Diffs are only available for single-page reports');
+  }
+  const base = otherId === 'previous'
+    ? await getPreviousReport(report)
+    : await getReportById(otherId);
+  if (!base || (options.auth !== undefined && !canReadReport(base, options.auth))) return null;
+  if (base.mode === 'site') {
+    throw new Error('Diffs are only available for single-page reports');
+  }
+  // The older report is always the baseline, whichever order the IDs came in
+  return base.createdAt <= report.createdAt
+    ? diffReports(base, report, options)
+    : diffReports(report, base, options);
+};
@@ -0,0 +1,284 @@
+import dns from 'dns';
+import net from 'net';
+import { Agent, fetch } from 'undici';
+
+// Egress policy for everything the scanner fetches: http(s) only, and never an address in a
+// private, local or otherwise special-purpose range. Checked before a scan starts and, through
+// request interception, for every navigation, redirect and subresource a page loads.
+
+export const EGRESS_BLOCKED = 'EGRESS_BLOCKED';
+export const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+// Schemes that never reach the network
+const LOCAL_PROTOCOLS = ['data:', 'blob:', 'about:'];
+
+// [CIDR, label]; IPv6 ranges that embed an IPv4 address are classified by that address instead
+const IPV4_RANGES = [
+  ['0.0.0.0/8', 'this network'],
+  ['10.0.0.0/8', 'private'],
+  ['100.64.0.0/10', 'shared address space'],
+  ['127.0.0.0/8', 'loopback'],
+  ['169.254.0.0/16', 'link-local'],
+  ['172.16.0.0/12', 'private'],
+  ['192.0.0.0/24', 'IETF protocol assignments'],
+  ['192.0.2.0/24', 'documentation'],
+  ['192.88.99.0/24', '6to4 relay anycast'],
+  ['192.168.0.0/16', 'private'],
+  ['198.18.0.0/15', 'benchmarking'],
+  ['198.51.100.0/24', 'documentation'],
+  ['203.0.113.0/24', 'documentation'],
+  ['224.0.0.0/4', 'multicast'],
+  ['240.0.0.0/4', 'reserved']
+];
+
+const IPV6_RANGES = [
+  ['::/128', 'unspecified'],
+  ['::1/128', 'loopback'],
+  ['::/96', 'IPv4-compatible'],
+  ['64:ff9b:1::/48', 'local-use NAT64'],
+  ['100::/64', 'discard-only'],
+  ['2001::/23', 'IETF protocol assignments'],
+  ['2001:db8::/32', 'documentation'],
+  ['fc00::/7', 'unique local'],
+  ['fe80::/10', 'link-local'],
+  ['fec0::/10', 'site-local'],
+  ['ff00::/8', 'multicast']
+];
+
+// [prefix, bit offset of the embedded IPv4 address]
+const IPV6_EMBEDDED_IPV4 = [
+  ['::ffff:0:0/96', 96],
+  ['64:ff9b::/96', 96],
+  ['2002::/16', 16]
+];
+
+const ipv4ToBigInt = (ip) => ip.split('.').reduce((value, octet) => (value << 8n) + BigInt(octet), 0n);
+
+const ipv6ToBigInt = (ip) => {
+  let address = ip;
+  // A dotted IPv4 tail (::ffff:1.2.3.4) becomes two hex groups
+  const tail = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (tail) {
+    const v4 = ipv4ToBigInt(tail[1]);
+    address = `${address.slice(0, -tail[1].length)}${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+  }
+  const [head, rest] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const restGroups = rest ? rest.split(':') : [];
+  const groups = rest === undefined
+    ? headGroups
+    : [...headGroups, ...Array(8 - headGroups.length - restGroups.length).fill('0'), ...restGroups];
+  return groups.reduce((value, group) => (value << 16n) + BigInt(parseInt(group, 16)), 0n);
+};
+
+const compileRanges = (ranges, bits, toBigInt) => ranges.map(([cidr, ...rest]) => {
+  const [base, prefix] = cidr.split('/');
+  const hostBits = BigInt(bits - Number(prefix));
+  return { network: toBigInt(base) >> hostBits, hostBits, rest };
+});
+
+const V4 = compileRanges(IPV4_RANGES, 32, ipv4ToBigInt);
+const V6 = compileRanges(IPV6_RANGES, 128, ipv6ToBigInt);
+const V6_EMBEDDED = compileRanges(IPV6_EMBEDDED_IPV4, 128, ipv6ToBigInt);
+
+const matchRange = (ranges, value) => ranges.find(range => (value >> range.hostBits) === range.network);
+
+const bigIntToIpv4 = (value) => [24n, 16n, 8n, 0n].map(shift => Number((value >> shift) & 0xffn)).join('.');
+
+// Why an address may not be fetched ('loopback', 'private', ...), or null when it is public.
+// Anything that isn't an IP address is 'invalid'.
+export const classifyIp = (ip) => {
+  const address = String(ip || '').replace(/^\[|\]$/g, '').replace(/%.*$/, '');
+  if (net.isIPv4(address)) {
+    return matchRange(V4, ipv4ToBigInt(address))?.rest[0] || null;
+  }
+  if (net.isIPv6(address)) {
+    const value = ipv6ToBigInt(address.toLowerCase());
+    const embedded = matchRange(V6_EMBEDDED, value);
+    if (embedded) {
+      const offset = 128n - BigInt(embedded.rest[0]) - 32n;
+      return classifyIp(bigIntToIpv4((value >> offset) & 0xffffffffn));
+    }
+    return matchRange(V6, value)?.rest[0] || null;
+  }
+  return 'invalid';
+};
+
+export const isForbiddenIp = (ip) => classifyIp(ip) !== null;
+
+const blocked = (message) => Object.assign(new Error(message), { code: EGRESS_BLOCKED });
+
+// Process-wide. The command-line scanner turns this on (--allow-private) to audit local and
+// staging servers, since it runs with its user's own network access; the server never does.
+// The protocol rules still apply.
+let privateAddressesAllowed = false;
+
+export const allowPrivateAddresses = () => {
+  privateAddressesAllowed = true;
+};
+
+// Throws unless `url` is http(s) and its host resolves only to public addresses
+export const assertPublicUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    throw new Error('Invalid URL.');
+  }
+  if (!ALLOWED_PROTOCOLS.includes(parsed.protocol)) {
+    throw blocked(`Only http and https URLs can be scanned, not ${parsed.protocol}`);
+  }
+  if (privateAddressesAllowed) return;
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+    } catch (e) {
+      if (e.code === 'ENOTFOUND') {
+        throw new Error('Invalid or unreachable domain.');
+      }
+      throw e;
+    }
+  }
+  for (const address of addresses) {
+    const range = classifyIp(address);
+    if (range) {
+      throw blocked(`Scanning internal/private IP addresses is not allowed for security reasons (${hostname} is ${range}).`);
+    }
+  }
+};
+
+const MAX_REDIRECTS = 5;
+
+// dns.lookup() for outgoing connections that fails when the host resolves to a forbidden
+// address. The connection then goes to the very address that was checked: a second lookup,
+// which a rebinding DNS server could answer differently, never happens.
+export const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const forbidden = privateAddressesAllowed ? null : addresses.find(entry => classifyIp(entry.address));
+    if (forbidden) {
+      return callback(blocked(`Connecting to ${hostname} is not allowed (${forbidden.address} is ${classifyIp(forbidden.address)}).`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// IP literals never reach the lookup; assertPublicUrl has checked those
+const pinnedAgent = new Agent({ connect: { lookup: publicLookup } });
+
+// fetch() that checks the URL, and every redirect it follows, against the policy.
+// With redirect: 'manual' the first response is returned as it is. `originHeaders` (credentials)
+// are sent only while the requests stay on the origin of `url`.
+export const fetchPublic = async (url, options = {}) => {
+  const { redirect, originHeaders = {}, ...fetchOptions } = options;
+  const { origin } = new URL(url);
+  let current = url;
+  for (let hop = 0; ; hop++) {
+    await assertPublicUrl(current);
+    const headers = new URL(current).origin === origin
+      ? { ...fetchOptions.headers, ...originHeaders }
+      : fetchOptions.headers;
+    let response;
+    try {
+      response = await fetch(current, { ...fetchOptions, headers, redirect: 'manual', dispatcher: pinnedAgent });
+    } catch (error) {
+      // fetch() wraps connection errors; a policy violation is reported as itself
+      if (error.cause?.code === EGRESS_BLOCKED) throw error.cause;
+      throw error;
+    }
+    const location = response.headers.get('location');
+    if (redirect === 'manual' || response.status < 300 || response.status >= 400 || !location) {
+      // Like a followed fetch, the response reports where it ended up
+      if (current !== url) Object.defineProperty(response, 'url', { value: current });
+      return response;
+    }
+    if (hop === MAX_REDIRECTS) {
+      throw new Error(`Too many redirects fetching ${url}`);
+    }
+    current = new URL(location, current).href;
+  }
+};
+
+// Browser contexts where a page broke the policy; a scan that used one must not be stored.
+// Pooled browsers are shared, so the context (one per scan stage) is the unit.
+const violations = new WeakMap();
+
+const recordViolation = (page, message) => {
+  const context = page.browserContext();
+  if (!violations.has(context)) {
+    console.error(`Egress policy violation: ${message}`);
+    violations.set(context, blocked(message));
+  }
+};
+
+// Throws the first policy violation seen in the browser context, if any
+export const assertEgressAllowed = (context) => {
+  if (context && violations.has(context)) throw violations.get(context);
+};
+
+// Checks every request the page makes (navigations, redirect hops, subresources) against the
+// policy and aborts the ones that fail. Chrome resolves hostnames itself, so a DNS answer that
+// changes between our lookup and its own (rebinding) is caught from the address each response
+// actually came from; that marks the context as violated and blocks everything after it.
+// `credentials` ({ headers, origin }, e.g. a scan session) adds headers to the requests for that
+// origin only, so tokens never reach third-party hosts the page loads from.
+export const guardPage = async (page, credentials) => {
+  const { headers: extraHeaders, origin } = credentials || {};
+  const hasExtraHeaders = Boolean(origin && extraHeaders && Object.keys(extraHeaders).length);
+  // Service workers fetch outside request interception
+  await page.setBypassServiceWorker(true);
+  await page.setRequestInterception(true);
+  const checks = new Map();
+  const checkHost = (url) => {
+    const key = `${url.protocol}//${url.host}`;
+    if (!checks.has(key)) {
+      checks.set(key, assertPublicUrl(url.href).then(() => null, error => error.message));
+    }
+    return checks.get(key);
+  };
+
+  page.on('request', async (request) => {
+    if (request.isInterceptResolutionHandled()) return;
+    let reason = null;
+    let url = null;
+    try {
+      url = new URL(request.url());
+      if (violations.has(page.browserContext())) {
+        reason = 'an earlier request broke the egress policy';
+      } else if (LOCAL_PROTOCOLS.includes(url.protocol)) {
+        reason = null;
+      } else if (!ALLOWED_PROTOCOLS.includes(url.protocol)) {
+        reason = `${url.protocol} requests are not allowed`;
+      } else {
+        reason = await checkHost(url);
+      }
+    } catch (e) {
+      reason = 'invalid URL';
+    }
+    try {
+      if (reason) {
+        console.log(`Blocked request to ${request.url()}: ${reason}`);
+        await request.abort('blockedbyclient');
+      } else if (hasExtraHeaders && url.origin === origin) {
+        await request.continue({ headers: { ...request.headers(), ...extraHeaders } });
+      } else {
+        await request.continue();
+      }
+    } catch (e) {
+      // The page went away while we were checking
+    }
+  });
+
+  page.on('response', (response) => {
+    const { ip } = response.remoteAddress() || {};
+    const range = ip && classifyIp(ip);
+    // Responses served from cache or by the browser itself carry no address
+    if (range && range !== 'invalid' && !privateAddressesAllowed) {
+      recordViolation(page, `${response.url()} was served from ${ip} (${range})`);
+    }
+  });
+};
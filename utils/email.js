@@ -1,15 +1,17 @@
 import nodemailer from 'nodemailer';
 
+const createTransport = () => nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: process.env.SMTP_PORT,
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: {
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  }
+});
+
 export const sendReportEmail = async ({ to, subject, text, pdfBuffer, filename = 'report.pdf' }) => {
-  const transporter = nodemailer.createTransport({
-    host: process.env.SMTP_HOST,
-    port: process.env.SMTP_PORT,
-    secure: process.env.SMTP_SECURE === 'true',
-    auth: {
-      user: process.env.SMTP_USER,
-      pass: process.env.SMTP_PASS
-    }
-  });
+  const transporter = createTransport();
 
   await transporter.sendMail({
     from: process.env.SMTP_FROM || process.env.SMTP_USER,
@@ -24,4 +26,26 @@ export const sendReportEmail = async ({ to, subject, text, pdfBuffer, filename =
       }
     ]
   });
-}; 
\ No newline at end of file
+}; 
+
+// Code (and, when FRONTEND_URL is set, a link carrying it) that confirms a public scan request
+export const sendVerificationEmail = async ({ to, url, verificationId, code }) => {
+  const transporter = createTransport();
+  const link = process.env.FRONTEND_URL
+    ? `${process.env.FRONTEND_URL.replace(/\/$/, '')}/verify-scan?id=${verificationId}&code=${code}`
+    : null;
+
+  await transporter.sendMail({
+    from: process.env.SMTP_FROM || process.env.SMTP_USER,
+    to,
+    subject: `Confirm your accessibility scan of ${url}`,
+    text: [
+      `Someone (hopefully you) asked for an accessibility scan of ${url} to be sent to this address.`,
+      '',
+      `Your confirmation code is ${code}.`,
+      ...(link ? ['', `Or confirm by opening ${link}`] : []),
+      '',
+      'The code expires in 30 minutes. If you did not ask for this scan, you can ignore this email.'
+    ].join('\n')
+  });
+};
\ No newline at end of file
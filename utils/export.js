@@ -0,0 +1,213 @@
+import crypto from 'crypto';
+import { issueImpact, activeIssues } from './summary.js';
+import { criteriaForIssue } from './wcag.js';
+import { issueKey } from './diff.js';
+
+export const EXPORT_FORMATS = ['csv', 'sarif', 'junit', 'json'];
+
+const TOOL_NAME = 'pa11y-backend';
+const TOOL_URI = 'https://github.com/ragsntatters/pa11y-backend';
+
+// axe impacts and pa11y types both end up on SARIF's error/warning/note scale
+const SEVERITY_BY_IMPACT = {
+  critical: 'error',
+  serious: 'error',
+  moderate: 'warning',
+  minor: 'note'
+};
+
+const SEVERITY_BY_PA11Y_TYPE = {
+  error: 'error',
+  warning: 'warning',
+  notice: 'note'
+};
+
+// Normalised issues name their engines; older reports mark axe findings with type 'axe'
+const engineOf = (issue) => {
+  if (issue.rules) return issue.rules.find(r => r.id === issue.rule)?.engine || issue.rules[0].engine;
+  return issue.type === 'axe' ? 'axe' : 'pa11y';
+};
+
+// Rule IDs are prefixed with the engine so the same name never collides across engines
+const toFinding = (issue, pageUrl, includeScreenshots) => {
+  const engine = engineOf(issue);
+  const rule = issue.rule || issue.code || 'unknown';
+  return {
+    ruleId: `${engine}/${rule}`,
+    engine,
+    engines: issue.engines || [engine],
+    severity: (issue.severity || engine === 'axe')
+      ? SEVERITY_BY_IMPACT[issueImpact(issue)] || 'warning'
+      : SEVERITY_BY_PA11Y_TYPE[issue.type] || 'warning',
+    impact: issueImpact(issue),
+    criteria: criteriaForIssue(issue),
+    url: pageUrl,
+    selector: issue.selector || (Array.isArray(issue.target) ? issue.target.join(' ') : ''),
+    html: issue.context || issue.html || '',
+    message: issue.help || issue.message || rule,
+    description: issue.description || issue.failureSummary || '',
+    helpUrl: issue.helpUrl || null,
+    fingerprint: crypto.createHash('sha256').update(`${pageUrl}|${issueKey(issue)}`).digest('hex').slice(0, 32),
+    ...(includeScreenshots && issue.screenshot ? { screenshot: issue.screenshot } : {}),
+    ...(issue.suppressed ? { suppressed: issue.suppressed } : {})
+  };
+};
+
+// Suppressed issues are left out unless includeSuppressed is set
+const collectFindings = (pages, includeScreenshots, includeSuppressed) => ({
+  issues: pages.flatMap(({ url, result }) => {
+    const issues = result?.unified?.issues || [];
+    return (includeSuppressed ? issues : activeIssues(issues)).map(issue => toFinding(issue, url, includeScreenshots));
+  }),
+  passed: pages.flatMap(({ url, result }) => (result?.unified?.passed || []).map(check => toFinding(check, url, false)))
+});
+
+const csvCell = (value) => {
+  const text = Array.isArray(value) ? value.join(' ') : String(value ?? '');
+  // Leading =, +, - or @ would be evaluated as a formula by spreadsheet apps
+  const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+const toCsv = ({ issues, passed }, includeScreenshots) => {
+  const columns = ['outcome', 'ruleId', 'engine', 'severity', 'impact', 'criteria', 'url', 'selector', 'message', 'html', 'helpUrl', 'fingerprint'];
+  if (includeScreenshots) columns.push('screenshot');
+  const rows = [
+    ...issues.map(finding => ({ outcome: finding.suppressed ? 'suppressed' : 'failed', ...finding })),
+    ...passed.map(finding => ({ outcome: 'passed', ...finding }))
+  ];
+  return [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => csvCell(row[column])).join(','))
+  ].join('\r\n') + '\r\n';
+};
+
+const toSarif = (report, { issues }) => {
+  const rules = [];
+  const ruleIndex = new Map();
+  for (const finding of issues) {
+    if (ruleIndex.has(finding.ruleId)) continue;
+    ruleIndex.set(finding.ruleId, rules.length);
+    rules.push({
+      id: finding.ruleId,
+      name: finding.ruleId.split('/').pop(),
+      shortDescription: { text: finding.message },
+      ...(finding.description ? { fullDescription: { text: finding.description } } : {}),
+      ...(finding.helpUrl ? { helpUri: finding.helpUrl } : {}),
+      defaultConfiguration: { level: finding.severity },
+      properties: {
+        tags: ['accessibility', ...finding.criteria.map(c => `WCAG ${c}`)]
+      }
+    });
+  }
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: TOOL_NAME,
+          informationUri: TOOL_URI,
+          rules
+        }
+      },
+      automationDetails: { id: `accessibility/${report._id}` },
+      results: issues.map(finding => ({
+        ruleId: finding.ruleId,
+        ruleIndex: ruleIndex.get(finding.ruleId),
+        level: finding.severity,
+        message: { text: finding.message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: finding.url },
+            ...(finding.html ? { region: { snippet: { text: finding.html } } } : {})
+          },
+          logicalLocations: finding.selector
+            ? [{ fullyQualifiedName: finding.selector, kind: 'element' }]
+            : []
+        }],
+        partialFingerprints: { accessibilityIssue: finding.fingerprint },
+        ...(finding.suppressed ? { suppressions: [{ kind: 'external', justification: finding.suppressed.reason }] } : {}),
+        properties: {
+          impact: finding.impact,
+          engine: finding.engine,
+          ...(finding.screenshot ? { screenshot: finding.screenshot } : {})
+        }
+      }))
+    }]
+  };
+};
+
+const xmlEscape = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+  // Control characters are not allowed in XML 1.0
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+// One test suite per page, one test case per rule; a rule with unsuppressed issues is a failure
+const toJunit = (report, { issues, passed }) => {
+  const pages = new Map();
+  const addCase = (finding, failed) => {
+    if (!pages.has(finding.url)) pages.set(finding.url, new Map());
+    const cases = pages.get(finding.url);
+    if (!cases.has(finding.ruleId)) cases.set(finding.ruleId, { ruleId: finding.ruleId, message: finding.message, severity: finding.severity, failures: [] });
+    if (failed) cases.get(finding.ruleId).failures.push(finding);
+  };
+  issues.forEach(finding => addCase(finding, !finding.suppressed));
+  passed.forEach(finding => addCase(finding, false));
+
+  let totalTests = 0;
+  let totalFailures = 0;
+  const suites = [...pages.entries()].map(([url, cases]) => {
+    const list = [...cases.values()];
+    const failures = list.filter(c => c.failures.length).length;
+    totalTests += list.length;
+    totalFailures += failures;
+    return `  <testsuite name="${xmlEscape(url)}" tests="${list.length}" failures="${failures}" errors="0" skipped="0">
+${list.map(c => `    <testcase classname="${xmlEscape(url)}" name="${xmlEscape(c.ruleId)}">${c.failures.length ? `
+      <failure type="${xmlEscape(c.severity)}" message="${xmlEscape(`${c.message} (${c.failures.length} element(s))`)}">${xmlEscape(
+        c.failures.map(f => `${f.selector}\n${f.html}`).join('\n\n')
+      )}</failure>
+    ` : ''}</testcase>`).join('\n')}
+  </testsuite>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="${xmlEscape(`Accessibility report ${report._id}`)}" tests="${totalTests}" failures="${totalFailures}">
+${suites.join('\n')}
+</testsuites>
+`;
+};
+
+// `pages` is the report itself, or the child page reports of a site report
+export const exportReport = (report, format, options = {}) => {
+  const { includeScreenshots = true, includeSuppressed = false, pages = [report] } = options;
+  const findings = collectFindings(pages, includeScreenshots, includeSuppressed);
+  const filename = `report-${report._id}`;
+
+  switch (format) {
+    case 'csv':
+      return { body: toCsv(findings, includeScreenshots), contentType: 'text/csv; charset=utf-8', filename: `${filename}.csv` };
+    case 'sarif':
+      return { body: JSON.stringify(toSarif(report, findings), null, 2), contentType: 'application/sarif+json', filename: `${filename}.sarif` };
+    case 'junit':
+      // JUnit has no good place for images, so screenshots are never included
+      return { body: toJunit(report, findings), contentType: 'application/xml; charset=utf-8', filename: `${filename}.xml` };
+    case 'json':
+      return {
+        body: JSON.stringify({
+          report: { id: report._id, url: report.url, status: report.status, createdAt: report.createdAt },
+          issues: findings.issues,
+          passed: findings.passed
+        }, null, 2),
+        contentType: 'application/json; charset=utf-8',
+        filename: `${filename}.json`
+      };
+    default:
+      throw new Error(`Unsupported export format '${format}'`);
+  }
+};
@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+import { IMPACT_LEVELS, PA11Y_TYPE_IMPACT } from './summary.js';
+import { criteriaForIssue } from './wcag.js';
+
+const worstSeverity = (a, b) => (IMPACT_LEVELS.indexOf(a) <= IMPACT_LEVELS.indexOf(b) ? a : b);
+
+const collapseWhitespace = (value) => String(value || '').replace(/\s+/g, ' ').trim();
+
+export const axeTargetSelector = (target) => (Array.isArray(target) ? target.join(' ') : String(target || ''));
+
+// Both engines' findings in one shape, before merging
+const fromPa11y = (issue) => ({
+  engine: 'pa11y',
+  ruleId: issue.code,
+  type: issue.type,
+  severity: PA11Y_TYPE_IMPACT[issue.type] || 'minor',
+  criteria: criteriaForIssue({ code: issue.code }),
+  tags: [],
+  selector: issue.selector || '',
+  html: issue.context || '',
+  message: issue.message,
+  description: null,
+  helpUrl: null,
+  screenshot: issue.screenshot || null
+});
+
+const fromAxe = (rule, node) => ({
+  engine: 'axe',
+  ruleId: rule.id,
+  // axe has no warnings or notices: a violation always fails the check
+  type: 'error',
+  severity: IMPACT_LEVELS.includes(node.impact || rule.impact) ? (node.impact || rule.impact) : 'minor',
+  criteria: criteriaForIssue({ type: 'axe', tags: rule.tags }),
+  tags: rule.tags || [],
+  selector: axeTargetSelector(node.target),
+  html: node.html || '',
+  message: rule.help,
+  description: node.failureSummary || rule.description || null,
+  helpUrl: rule.helpUrl || null,
+  screenshot: node.screenshot || null
+});
+
+// Findings are the same when they point at the same element for the same success criterion.
+// elementIds maps selectors to an element identity resolved in the page, so pa11y's
+// "html > body > img:nth-child(2)" and axe's "#logo" can be recognised as one element.
+const elementKey = (finding, elementIds) => {
+  if (elementIds && elementIds[finding.selector] !== undefined) {
+    return `el:${elementIds[finding.selector]}`;
+  }
+  if (finding.selector) return `sel:${finding.selector}`;
+  return `html:${collapseWhitespace(finding.html)}`;
+};
+
+// Findings without a WCAG mapping (best practices) only merge within the same rule
+const criterionKeys = (finding) => (
+  finding.criteria.length ? finding.criteria : [`rule:${finding.engine}/${finding.ruleId}`]
+);
+
+const mergeFindings = (findings, elementIds) => {
+  const merged = [];
+  const byKey = new Map();
+
+  for (const finding of findings) {
+    const element = elementKey(finding, elementIds);
+    const keys = criterionKeys(finding).map(criterion => `${element}|${criterion}`);
+    const existing = keys.map(key => byKey.get(key)).find(Boolean);
+
+    if (existing) {
+      existing.severity = worstSeverity(existing.severity, finding.severity);
+      existing.impact = existing.severity;
+      if (!existing.engines.includes(finding.engine)) existing.engines.push(finding.engine);
+      if (!existing.rules.some(r => r.engine === finding.engine && r.id === finding.ruleId)) {
+        existing.rules.push({ engine: finding.engine, id: finding.ruleId });
+      }
+      existing.criteria = [...new Set([...existing.criteria, ...finding.criteria])];
+      existing.tags = [...new Set([...existing.tags, ...finding.tags])];
+      // pa11y's type ranks error > warning > notice; keep the strictest
+      if (['error', 'warning', 'notice'].indexOf(finding.type) < ['error', 'warning', 'notice'].indexOf(existing.type)) {
+        existing.type = finding.type;
+      }
+      // axe's wording and help links are the more actionable ones
+      if (finding.engine === 'axe') {
+        existing.rule = finding.ruleId;
+        existing.message = finding.message;
+        existing.helpUrl = finding.helpUrl;
+        existing.description = finding.description || existing.description;
+      }
+      existing.selector = existing.selector || finding.selector;
+      existing.html = existing.html || finding.html;
+      existing.screenshot = existing.screenshot || finding.screenshot;
+      keys.forEach(key => byKey.set(key, existing));
+      continue;
+    }
+
+    const issue = {
+      id: null,
+      rule: finding.ruleId,
+      rules: [{ engine: finding.engine, id: finding.ruleId }],
+      engines: [finding.engine],
+      criteria: [...finding.criteria],
+      severity: finding.severity,
+      // impact is kept as an alias for consumers of the earlier unified format
+      impact: finding.severity,
+      type: finding.type,
+      tags: [...finding.tags],
+      selector: finding.selector,
+      html: finding.html,
+      message: finding.message,
+      description: finding.description,
+      helpUrl: finding.helpUrl,
+      screenshot: finding.screenshot
+    };
+    merged.push(issue);
+    keys.forEach(key => byKey.set(key, issue));
+  }
+
+  // Element identities are only valid within one page load, so IDs hash the selector instead
+  for (const issue of merged) {
+    issue.id = crypto.createHash('sha1')
+      .update(`${issue.selector || collapseWhitespace(issue.html)}|${issue.criteria.join(',') || issue.rule}`)
+      .digest('hex')
+      .slice(0, 16);
+  }
+  return merged;
+};
+
+// Maps pa11y issues and axe results (violations or passes) to the unified issue model
+export const normalizeFindings = ({ pa11y = [], axe = [], elementIds = null, passed = false }) => {
+  const issues = mergeFindings([
+    ...pa11y.map(fromPa11y),
+    ...axe.flatMap(rule => (rule.nodes || []).map(node => fromAxe(rule, node)))
+  ], elementIds);
+  return passed ? issues.map(issue => ({ ...issue, type: 'passed' })) : issues;
+};
+
+// Every selector a batch of findings refers to, for resolving element identities in the page
+export const collectSelectors = ({ pa11y = [], axe = [] }) => [...new Set([
+  ...pa11y.map(issue => issue.selector),
+  ...axe.flatMap(rule => (rule.nodes || []).map(node => axeTargetSelector(node.target)))
+].filter(Boolean))];
@@ -1,48 +1,472 @@
-import puppeteer from 'puppeteer';
-
-export const generatePDF = async (report) => {
-  const browser = await puppeteer.launch({
-    headless: 'new',
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-accelerated-2d-canvas',
-      '--disable-gpu',
-      '--no-first-run',
-      '--no-zygote',
-      '--single-process',
-      '--disable-extensions'
-    ],
-    executablePath: process.env.CHROME_BIN || null
-  });
+import { IMPACT_LEVELS, issueImpact, summarizeResult, activeIssues } from './summary.js';
+import { criteriaForIssue, criterionLabel } from './wcag.js';
+import { withInlineScreenshots } from './screenshots.js';
+import { computeScore } from './score.js';
+import { getTrend } from './trends.js';
+import { sameOwnerFilter, isOwned } from './access.js';
+import { guardPage } from './egress.js';
+import { withBrowserContext } from './browserPool.js';
+
+// Rule groups show at most this many affected elements
+const MAX_INSTANCES_PER_RULE = 10;
+
+// The score sparkline covers at most this many scans up to the report
+const TREND_POINTS = 20;
+
+// Branding defaults; each can be overridden per call through options.branding
+const DEFAULT_BRANDING = {
+  name: process.env.PDF_BRAND_NAME || 'Accessibility Report',
+  color: process.env.PDF_BRAND_COLOR || '#1d4ed8',
+  logoUrl: process.env.PDF_BRAND_LOGO_URL || null,
+  footerText: process.env.PDF_FOOTER_TEXT || ''
+};
+
+const IMPACT_COLORS = {
+  critical: '#b91c1c',
+  serious: '#c2410c',
+  moderate: '#a16207',
+  minor: '#4b5563'
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Only http(s) links and PNG/JPEG data URLs make it into the document
+const safeUrl = (value) => (/^https?:\/\//i.test(String(value || '')) ? escapeHtml(value) : null);
+const safeImage = (value) => (/^data:image\/(png|jpeg);base64,[a-z0-9+/=]+$/i.test(String(value || '')) ? value : null);
+
+const safeColor = (value) => (/^#[0-9a-f]{3,8}$/i.test(String(value || '')) ? value : '#1d4ed8');
+
+const formatDate = (value) => (value ? new Date(value).toUTCString() : '');
+
+const ruleIdOf = (issue) => issue.rule || issue.code || 'unknown';
+const selectorOf = (issue) => issue.selector || (Array.isArray(issue.target) ? issue.target.join(' ') : '');
+
+const TECHNIQUE_FOLDERS = {
+  ARIA: 'aria', C: 'css', F: 'failures', G: 'general', H: 'html', PDF: 'pdf', SCR: 'client-side-script', SM: 'smil', SVR: 'server-side-script', T: 'text'
+};
+
+// pa11y codes end in technique IDs (e.g. ...1_1_1.H37 or ...H44,H65), which link to the WCAG techniques
+const helpUrlOf = (issue) => {
+  if (issue.helpUrl) return issue.helpUrl;
+  const code = issue.rules ? issue.rules.find(r => r.engine === 'pa11y')?.id : issue.code;
+  const match = String(code || '').match(/\.(ARIA|SCR|SVR|PDF|SM|C|F|G|H|T)(\d+)/);
+  return match ? `https://www.w3.org/WAI/WCAG21/Techniques/${TECHNIQUE_FOLDERS[match[1]]}/${match[1]}${match[2]}` : null;
+};
+
+const groupIssuesByRule = (issues) => {
+  const groups = new Map();
+  for (const issue of issues) {
+    const id = ruleIdOf(issue);
+    if (!groups.has(id)) {
+      groups.set(id, {
+        id,
+        title: issue.help || issue.message || id,
+        description: issue.description || (issue.help ? null : issue.message),
+        impact: issueImpact(issue),
+        criteria: new Set(),
+        helpUrl: helpUrlOf(issue),
+        instances: []
+      });
+    }
+    const group = groups.get(id);
+    criteriaForIssue(issue).forEach(c => group.criteria.add(c));
+    // A rule is as severe as its worst instance
+    if (IMPACT_LEVELS.indexOf(issueImpact(issue)) < IMPACT_LEVELS.indexOf(group.impact)) {
+      group.impact = issueImpact(issue);
+    }
+    group.instances.push(issue);
+  }
+  return [...groups.values()].sort((a, b) => (
+    (IMPACT_LEVELS.indexOf(a.impact) - IMPACT_LEVELS.indexOf(b.impact)) ||
+    (b.instances.length - a.instances.length)
+  ));
+};
+
+const countByCriterion = (issues) => {
+  const counts = new Map();
+  for (const issue of issues) {
+    const criteria = criteriaForIssue(issue);
+    for (const criterion of criteria.length ? criteria : ['Other']) {
+      counts.set(criterion, (counts.get(criterion) || 0) + 1);
+    }
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]);
+};
+
+const impactBadge = (impact) => `<span class="badge" style="background:${IMPACT_COLORS[impact] || IMPACT_COLORS.minor}">${escapeHtml(impact)}</span>`;
 
-  try {
-    const page = await browser.newPage();
-    await page.setContent(`
-      <html>
-        <head>
-          <style>
-            body { font-family: sans-serif; padding: 2rem; }
-            pre { background: #f0f0f0; padding: 1rem; border-radius: 8px; }
-          </style>
-        </head>
-        <body>
-          <h1>Accessibility Report</h1>
-          <p><strong>URL:</strong> ${report.url}</p>
-          <pre>${JSON.stringify(report.result, null, 2)}</pre>
-        </body>
-      </html>
-    `);
-
-    const pdf = await page.pdf({ 
+const renderCover = (report, branding) => `
+  <section class="cover">
+    ${safeUrl(branding.logoUrl) ? `<img class="logo" src="${safeUrl(branding.logoUrl)}" alt="">` : ''}
+    <p class="brand">${escapeHtml(branding.name)}</p>
+    <h1>Accessibility Report</h1>
+    <p class="cover-url">${escapeHtml(report.url)}</p>
+    <dl>
+      <dt>Scanned</dt><dd>${escapeHtml(formatDate(report.createdAt))}</dd>
+      ${report.wcagLevel ? `<dt>Standard</dt><dd>WCAG 2 ${escapeHtml(report.wcagLevel)}</dd>` : ''}
+      <dt>Status</dt><dd>${escapeHtml(report.status)}</dd>
+    </dl>
+  </section>
+`;
+
+const renderToc = (entries) => `
+  <section class="toc">
+    <h2>Contents</h2>
+    <ol>
+      ${entries.map(([anchor, label]) => `<li><a href="#${anchor}">${escapeHtml(label)}</a></li>`).join('')}
+    </ol>
+  </section>
+`;
+
+// Inline SVG so the chart needs neither scripts nor network access
+const renderSparkline = (points, color) => {
+  const width = 240;
+  const height = 48;
+  const step = width / (points.length - 1);
+  const coords = points.map((point, index) => [
+    Math.round(index * step * 10) / 10,
+    Math.round((height - (point.score / 100) * height) * 10) / 10
+  ]);
+  const [lastX, lastY] = coords[coords.length - 1];
+  return `
+    <svg class="sparkline" width="${width}" height="${height}" viewBox="-3 -3 ${width + 6} ${height + 6}" role="img" aria-label="Score trend">
+      <polyline fill="none" stroke="${color}" stroke-width="2" points="${coords.map(coord => coord.join(',')).join(' ')}"/>
+      <circle cx="${lastX}" cy="${lastY}" r="3" fill="${color}"/>
+    </svg>
+  `;
+};
+
+const renderScore = (score, trend, branding) => {
+  if (typeof score !== 'number') return '';
+  const scored = (trend || []).filter(point => typeof point.score === 'number');
+  return `
+    <div class="score">
+      <p><span class="score-value">${score}</span>/100 accessibility score</p>
+      ${scored.length > 1 ? `
+        ${renderSparkline(scored, safeColor(branding.color))}
+        <p class="meta">
+          ${scored.length} scans from ${escapeHtml(formatDate(scored[0].createdAt))}
+          to ${escapeHtml(formatDate(scored[scored.length - 1].createdAt))}: ${scored[0].score} to ${scored[scored.length - 1].score}
+        </p>
+      ` : ''}
+    </div>
+  `;
+};
+
+const renderSummary = (issues, passed, scoreHtml = '', hiddenCount = 0) => {
+  const summary = summarizeResult({ unified: { issues, passed } });
+  const criteria = countByCriterion(activeIssues(issues));
+  return `
+    <section id="summary">
+      <h2>Executive summary</h2>
+      ${scoreHtml}
+      <p>
+        The automated audit found <strong>${summary.issues}</strong> issue(s)
+        and <strong>${summary.passed}</strong> passed check(s).
+        Automated testing covers only part of WCAG; a manual review is still recommended.
+      </p>
+      ${hiddenCount ? `<p class="meta">${hiddenCount} suppressed issue(s) (accepted risks and known false positives) are not included in this report.</p>` : ''}
+      <h3>Issues by impact</h3>
+      <table>
+        <tr>${IMPACT_LEVELS.map(level => `<th>${impactBadge(level)}</th>`).join('')}<th>Total</th></tr>
+        <tr>${IMPACT_LEVELS.map(level => `<td>${summary.byImpact[level]}</td>`).join('')}<td>${summary.issues}</td></tr>
+      </table>
+      <h3>Issues by WCAG success criterion</h3>
+      ${criteria.length ? `
+        <table>
+          <tr><th>Success criterion</th><th>Issues</th></tr>
+          ${criteria.map(([criterion, count]) => `<tr><td>${escapeHtml(criterionLabel(criterion))}</td><td>${count}</td></tr>`).join('')}
+        </table>
+      ` : '<p>No issues found.</p>'}
+    </section>
+  `;
+};
+
+const renderInstance = (issue) => {
+  const screenshot = safeImage(issue.screenshot);
+  const snippet = issue.context || issue.html;
+  return `
+    <div class="instance">
+      ${selectorOf(issue) ? `<p class="selector"><code>${escapeHtml(selectorOf(issue))}</code></p>` : ''}
+      ${issue.failureSummary ? `<p>${escapeHtml(issue.failureSummary)}</p>` : ''}
+      ${issue.states ? `<p class="meta">UI states: ${issue.states.map(escapeHtml).join(', ')}</p>` : ''}
+      ${issue.suppressed ? `<p class="meta">Suppressed: ${escapeHtml(issue.suppressed.reason)}</p>` : ''}
+      ${issue.viewports ? `<p class="meta">Viewports: ${issue.viewports.map(escapeHtml).join(', ')}${issue.viewportSpecific ? ' (viewport-specific)' : ' (all viewports)'}</p>` : ''}
+      ${snippet ? `<pre>${escapeHtml(snippet)}</pre>` : ''}
+      ${screenshot ? `<img class="screenshot" src="${screenshot}" alt="Screenshot of the affected element">` : ''}
+    </div>
+  `;
+};
+
+const renderIssues = (issues) => {
+  const groups = groupIssuesByRule(issues);
+  return `
+    <section id="issues" class="page-break">
+      <h2>Issues by rule</h2>
+      ${groups.length ? '' : '<p>No issues found.</p>'}
+      ${groups.map(group => `
+        <article class="rule">
+          <h3>${impactBadge(group.impact)} ${escapeHtml(group.title)}</h3>
+          <p class="meta">
+            Rule <code>${escapeHtml(group.id)}</code>
+            &middot; ${group.instances.length} element(s)
+            ${group.criteria.size ? `&middot; ${[...group.criteria].map(c => escapeHtml(criterionLabel(c))).join(', ')}` : ''}
+          </p>
+          ${group.description ? `<p>${escapeHtml(group.description)}</p>` : ''}
+          ${safeUrl(group.helpUrl) ? `<p><a href="${safeUrl(group.helpUrl)}">How to fix this</a></p>` : ''}
+          ${group.instances.slice(0, MAX_INSTANCES_PER_RULE).map(renderInstance).join('')}
+          ${group.instances.length > MAX_INSTANCES_PER_RULE
+            ? `<p class="more">&hellip; and ${group.instances.length - MAX_INSTANCES_PER_RULE} more element(s)</p>`
+            : ''}
+        </article>
+      `).join('')}
+    </section>
+  `;
+};
+
+const renderPassed = (passed) => {
+  const counts = new Map();
+  for (const check of passed) {
+    const id = ruleIdOf(check);
+    if (!counts.has(id)) counts.set(id, { title: check.help || check.message || id, count: 0 });
+    counts.get(id).count++;
+  }
+  return `
+    <section id="passed" class="page-break">
+      <h2>Appendix: passed checks</h2>
+      ${counts.size ? `
+        <table>
+          <tr><th>Rule</th><th>Check</th><th>Elements</th></tr>
+          ${[...counts.entries()].map(([id, { title, count }]) => `
+            <tr><td><code>${escapeHtml(id)}</code></td><td>${escapeHtml(title)}</td><td>${count}</td></tr>
+          `).join('')}
+        </table>
+      ` : '<p>No passed checks were recorded.</p>'}
+    </section>
+  `;
+};
+
+const renderSite = (site, scoreHtml = '') => `
+  <section id="site">
+    <h2>Site overview</h2>
+    ${scoreHtml}
+    <p>${site.totals.pages} page(s) scanned, ${site.totals.failed} failed.</p>
+    <table>
+      <tr><th>Page</th><th>Status</th><th>Score</th><th>Issues</th>${IMPACT_LEVELS.map(level => `<th>${impactBadge(level)}</th>`).join('')}</tr>
+      ${site.pages.map(page => `
+        <tr>
+          <td>${escapeHtml(page.url)}</td>
+          <td>${escapeHtml(page.status)}</td>
+          <td>${page.score ?? ''}</td>
+          <td>${page.issues ?? ''}</td>
+          ${IMPACT_LEVELS.map(level => `<td>${page.byImpact ? page.byImpact[level] : ''}</td>`).join('')}
+        </tr>
+      `).join('')}
+    </table>
+  </section>
+`;
+
+const renderViewports = (viewports, commonIssues) => `
+  <section id="viewports">
+    <h2>Viewports</h2>
+    <p>${commonIssues} issue(s) appear at every viewport; the rest only at the viewports listed below.</p>
+    <table>
+      <tr><th>Viewport</th><th>Size</th><th>Issues</th><th>Viewport-specific</th></tr>
+      ${viewports.map(viewport => `
+        <tr>
+          <td>${escapeHtml(viewport.name)}</td>
+          <td>${viewport.width}x${viewport.height} @${viewport.deviceScaleFactor}x${viewport.isMobile ? ', mobile' : ''}</td>
+          <td>${viewport.issues}</td>
+          <td>${viewport.specificIssues}</td>
+        </tr>
+      `).join('')}
+    </table>
+    ${viewports.map(viewport => safeImage(viewport.pageScreenshot) ? `
+      <figure>
+        <img class="screenshot" src="${safeImage(viewport.pageScreenshot)}" alt="Page at the ${escapeHtml(viewport.name)} viewport">
+        <figcaption>${escapeHtml(viewport.name)}</figcaption>
+      </figure>
+    ` : '').join('')}
+  </section>
+`;
+
+const renderDiffIssue = (issue) => `
+  <li>
+    ${impactBadge(issueImpact(issue))}
+    <strong>${escapeHtml(ruleIdOf(issue))}</strong>:
+    ${escapeHtml(issue.help || issue.message)}
+    <br><code>${escapeHtml(selectorOf(issue))}</code>
+  </li>
+`;
+
+const renderDiffSection = (diff) => {
+  const row = (label, counts) => `
+    <tr>
+      <td>${label}</td>
+      <td>${counts.total}</td>
+      ${IMPACT_LEVELS.map(level => `<td>${counts.byImpact[level]}</td>`).join('')}
+    </tr>
+  `;
+  return `
+    <section id="changes" class="page-break">
+      <h2>Changes since ${escapeHtml(formatDate(diff.base.createdAt))}</h2>
+      <table>
+        <tr><th></th><th>Total</th>${IMPACT_LEVELS.map(level => `<th>${impactBadge(level)}</th>`).join('')}</tr>
+        ${row('New', diff.counts.new)}
+        ${row('Fixed', diff.counts.fixed)}
+        ${row('Unchanged', diff.counts.unchanged)}
+      </table>
+      <h3>New issues</h3>
+      <ul>${diff.new.map(renderDiffIssue).join('') || '<li>None</li>'}</ul>
+      <h3>Fixed issues</h3>
+      <ul>${diff.fixed.map(renderDiffIssue).join('') || '<li>None</li>'}</ul>
+    </section>
+  `;
+};
+
+const renderStyles = (branding) => `
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #111827; font-size: 11pt; line-height: 1.4; }
+    h1, h2, h3 { color: ${safeColor(branding.color)}; }
+    h2 { border-bottom: 2px solid ${safeColor(branding.color)}; padding-bottom: 0.25rem; }
+    a { color: ${safeColor(branding.color)}; }
+    table { border-collapse: collapse; width: 100%; margin: 0.5rem 0 1rem; }
+    th, td { border: 1px solid #d1d5db; padding: 0.25rem 0.5rem; text-align: left; vertical-align: top; word-break: break-word; }
+    pre { background: #f3f4f6; padding: 0.5rem; border-radius: 4px; white-space: pre-wrap; word-break: break-all; font-size: 9pt; }
+    code { font-size: 9pt; }
+    .badge { color: #fff; border-radius: 3px; padding: 0 0.4rem; font-size: 8pt; text-transform: uppercase; }
+    .cover { height: 24cm; display: flex; flex-direction: column; justify-content: center; page-break-after: always; }
+    .cover h1 { font-size: 32pt; margin: 0.5rem 0; }
+    .cover-url { font-size: 14pt; word-break: break-all; }
+    .brand { font-size: 14pt; text-transform: uppercase; letter-spacing: 0.1em; color: #6b7280; }
+    .logo { max-width: 6cm; max-height: 3cm; }
+    dl { display: grid; grid-template-columns: max-content auto; gap: 0.25rem 1rem; }
+    dt { font-weight: bold; }
+    dd { margin: 0; }
+    .toc { page-break-after: always; }
+    .page-break { page-break-before: always; }
+    .rule { page-break-inside: avoid; margin-bottom: 1.5rem; }
+    .meta { color: #4b5563; font-size: 9pt; }
+    .score-value { font-size: 28pt; font-weight: bold; color: ${safeColor(branding.color)}; }
+    .instance { border-left: 3px solid #e5e7eb; padding-left: 0.5rem; margin: 0.5rem 0; page-break-inside: avoid; }
+    .screenshot { max-width: 100%; max-height: 8cm; border: 1px solid #d1d5db; }
+    .more { color: #6b7280; font-style: italic; }
+  </style>
+`;
+
+// Chromium renders these outside the page body, so they need inline styles
+const headerTemplate = (report, branding) => `
+  <div style="font-size:8px; width:100%; padding:0 1cm; color:#6b7280; display:flex; justify-content:space-between;">
+    <span>${escapeHtml(branding.name)}</span>
+    <span>${escapeHtml(report.url)}</span>
+  </div>
+`;
+
+const footerTemplate = (branding) => `
+  <div style="font-size:8px; width:100%; padding:0 1cm; color:#6b7280; display:flex; justify-content:space-between;">
+    <span>${escapeHtml(branding.footerText)}</span>
+    <span>Page <span class="pageNumber"></span> of <span class="totalPages"></span></span>
+  </div>
+`;
+
+export const renderReportHtml = (report, options = {}) => {
+  const branding = { ...DEFAULT_BRANDING, ...(options.branding || {}) };
+  const result = report.result || {};
+  const allIssues = result.unified?.issues || [];
+  // options.includeSuppressed lists suppressed issues too, marked as such
+  const issues = options.includeSuppressed ? allIssues : activeIssues(allIssues);
+  const passed = result.unified?.passed || [];
+
+  const toc = [];
+  const sections = [];
+
+  if (result.error) {
+    sections.push(`<section id="error"><h2>Scan error</h2><p>${escapeHtml(result.error)}</p></section>`);
+  }
+  if (result.site) {
+    toc.push(['site', 'Site overview']);
+    sections.push(renderSite(result.site, renderScore(report.score ?? result.site.totals?.score, options.trend, branding)));
+  } else if (!result.error) {
+    toc.push(['summary', 'Executive summary']);
+    sections.push(renderSummary(issues, passed, renderScore(report.score ?? computeScore(result), options.trend, branding), allIssues.length - issues.length));
+    if (result.viewports) {
+      toc.push(['viewports', 'Viewports']);
+      sections.push(renderViewports(result.viewports, result.commonIssues));
+    }
+    if (options.diff) {
+      toc.push(['changes', 'Changes since the previous scan']);
+      sections.push(renderDiffSection(options.diff));
+    }
+    toc.push(['issues', 'Issues by rule']);
+    sections.push(renderIssues(issues));
+    toc.push(['passed', 'Appendix: passed checks']);
+    sections.push(renderPassed(passed));
+  }
+
+  return `<!DOCTYPE html>
+    <html lang="en">
+      <head>
+        <meta charset="utf-8">
+        <title>Accessibility Report - ${escapeHtml(report.url)}</title>
+        ${renderStyles(branding)}
+      </head>
+      <body>
+        ${renderCover(report, branding)}
+        ${toc.length > 1 ? renderToc(toc) : ''}
+        ${sections.join('')}
+      </body>
+    </html>
+  `;
+};
+
+// Reports the trend may draw on: the owner's, or for a public scan the ones requested from the
+// same verified address. Null when there is nobody to scope to (unowned, no address), since all
+// unowned reports of a URL would mix strangers' scans.
+const trendFilter = (report) => {
+  if (isOwned(report)) return sameOwnerFilter(report);
+  return report.emailNormalized ? { ...sameOwnerFilter(report), emailNormalized: report.emailNormalized } : null;
+};
+
+export const generatePDF = async (storedReport, options = {}) => {
+  const branding = { ...DEFAULT_BRANDING, ...(options.branding || {}) };
+  // The PDF is self-contained, so stored screenshots are embedded again
+  const report = await withInlineScreenshots(storedReport);
+  const filter = trendFilter(report);
+  if (options.trend === undefined && filter) {
+    try {
+      const { points } = await getTrend({
+        url: report.url,
+        mode: report.mode,
+        to: report.createdAt,
+        limit: TREND_POINTS,
+        filter
+      });
+      options = { ...options, trend: points };
+    } catch (error) {
+      console.error(`Failed to load the score trend for ${report.url}:`, error.message);
+    }
+  }
+  return withBrowserContext(async (context) => {
+    const page = await context.newPage();
+    // The template never needs scripts; external requests are limited to the logo
+    await page.setJavaScriptEnabled(false);
+    await guardPage(page);
+    await page.setContent(renderReportHtml(report, options), { waitUntil: 'networkidle0', timeout: 60000 });
+
+    const pdf = await page.pdf({
       format: 'A4',
       printBackground: true,
-      margin: { top: '1cm', right: '1cm', bottom: '1cm', left: '1cm' }
+      displayHeaderFooter: true,
+      headerTemplate: headerTemplate(report, branding),
+      footerTemplate: footerTemplate(branding),
+      margin: { top: '1.5cm', right: '1cm', bottom: '1.5cm', left: '1cm' }
     });
 
     return pdf;
-  } finally {
-    await browser.close();
-  }
+  });
 };
@@ -0,0 +1,131 @@
+import mongoose from 'mongoose';
+import { ensureConnection } from './db.js';
+
+// Scan progress: runScan reports stages ("pa11y", "screenshots" 14/52, ...) and the worker
+// stores the latest one as report.progress for polling clients, plus a short history in
+// report.events that GET /api/report/:id/events streams as Server-Sent Events.
+const MAX_EVENTS = 100;
+// Fast-moving stages (screenshots) are written at most this often; stage changes always are
+const MIN_WRITE_INTERVAL_MS = 1000;
+const STREAM_POLL_MS = 1000;
+const STREAM_HEARTBEAT_MS = 15 * 1000;
+// Clients reconnect (with Last-Event-ID) after this; keeps stuck connections from piling up
+const MAX_STREAM_MS = 30 * 60 * 1000;
+
+const TERMINAL_STATUSES = ['complete', 'error', 'cancelled', 'timeout'];
+
+// Returns emit(event), which stamps and queues an event for `reportId`, and flush(), which
+// resolves once everything emitted so far is stored. Events carry an increasing seq, also
+// across retries in other processes, that SSE clients use as their position.
+export const createProgressReporter = (reportId) => {
+  let lastSeq = 0;
+  let lastStage = null;
+  let lastWriteAt = 0;
+  let pending = [];
+  let timer = null;
+  let writes = Promise.resolve();
+
+  const write = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!pending.length) return writes;
+    const events = pending;
+    pending = [];
+    lastWriteAt = Date.now();
+    writes = writes
+      .then(async () => {
+        await ensureConnection();
+        await mongoose.model('Report').updateOne({ _id: reportId }, {
+          $set: { progress: events[events.length - 1] },
+          $push: { events: { $each: events, $slice: -MAX_EVENTS } }
+        });
+      })
+      .catch(error => console.error(`Failed to store progress for report ${reportId}:`, error.message));
+    return writes;
+  };
+
+  const emit = (event) => {
+    const stamped = { ...event, seq: Math.max(lastSeq + 1, Date.now()), at: new Date() };
+    lastSeq = stamped.seq;
+    pending.push(stamped);
+    const stageChanged = event.stage !== lastStage;
+    lastStage = event.stage;
+    if (stageChanged || Date.now() - lastWriteAt >= MIN_WRITE_INTERVAL_MS) {
+      write();
+    } else if (!timer) {
+      timer = setTimeout(write, MIN_WRITE_INTERVAL_MS - (Date.now() - lastWriteAt));
+    }
+  };
+
+  return { emit, flush: write };
+};
+
+const sendEvent = (res, name, data, id) => {
+  res.write(`${id !== undefined ? `id: ${id}\n` : ''}event: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+  // compression() buffers responses; SSE needs every event sent as it happens
+  if (res.flush) res.flush();
+};
+
+// Streams a report's progress events until the scan finishes or the client goes away.
+// Sends 'progress' events (id = seq), then one 'done' event with the final status.
+export const streamProgress = (req, res, reportId) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stops nginx-style proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${STREAM_POLL_MS * 3}\n\n`);
+
+  let lastSeq = Number(req.get('Last-Event-ID')) || 0;
+  let closed = false;
+  let lastSentAt = Date.now();
+  const startedAt = Date.now();
+  let timer = null;
+
+  const close = () => {
+    closed = true;
+    clearTimeout(timer);
+    res.end();
+  };
+  req.on('close', () => {
+    closed = true;
+    clearTimeout(timer);
+  });
+
+  const poll = async () => {
+    if (closed) return;
+    try {
+      await ensureConnection();
+      const report = await mongoose.model('Report').findById(reportId).select('status score +events');
+      if (!report) {
+        sendEvent(res, 'done', { status: 'deleted' });
+        return close();
+      }
+      for (const event of report.events || []) {
+        if (event.seq > lastSeq) {
+          sendEvent(res, 'progress', event, event.seq);
+          lastSeq = event.seq;
+          lastSentAt = Date.now();
+        }
+      }
+      if (TERMINAL_STATUSES.includes(report.status)) {
+        sendEvent(res, 'done', { status: report.status, score: report.score ?? null });
+        return close();
+      }
+      if (Date.now() - startedAt > MAX_STREAM_MS) return close();
+      if (Date.now() - lastSentAt > STREAM_HEARTBEAT_MS) {
+        res.write(': ping\n\n');
+        if (res.flush) res.flush();
+        lastSentAt = Date.now();
+      }
+    } catch (error) {
+      console.error(`Progress stream for report ${reportId} failed:`, error.message);
+      sendEvent(res, 'stream-error', { error: 'Failed to read progress' });
+      return close();
+    }
+    timer = setTimeout(poll, STREAM_POLL_MS);
+  };
+  poll();
+};
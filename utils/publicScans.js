@@ -0,0 +1,142 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { ensureConnection } from './db.js';
+
+// Abuse protection for the anonymous scan form: a proof-of-work challenge to slow bots, and
+// email verification before anything is scanned or sent, keyed on a normalized address.
+const VERIFICATION_TTL_MS = 30 * 60 * 1000;
+const MAX_CODE_ATTEMPTS = 5;
+const CHALLENGE_TTL_MS = 10 * 60 * 1000;
+// Leading zero bits required of sha256("<challenge>:<nonce>"); 0 turns the challenge off
+export const POW_DIFFICULTY = Math.min(parseInt(process.env.PUBLIC_SCAN_POW_DIFFICULTY ?? '16', 10) || 0, 32);
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DOMAIN_ALIASES = { 'googlemail.com': 'gmail.com' };
+// Providers that ignore dots in the local part
+const DOTLESS_DOMAINS = ['gmail.com'];
+
+// Lower-cased, without a +tag, and without dots where the provider ignores them, so variants
+// of one mailbox share a rate limit. Returns null for something that isn't an address.
+export const normalizeEmail = (email) => {
+  const address = String(email || '').trim().toLowerCase();
+  if (address.length > 254 || !EMAIL_PATTERN.test(address)) return null;
+  const at = address.lastIndexOf('@');
+  const domain = DOMAIN_ALIASES[address.slice(at + 1)] || address.slice(at + 1);
+  let local = address.slice(0, at).split('+')[0];
+  if (DOTLESS_DOMAINS.includes(domain)) local = local.replace(/\./g, '');
+  return local ? `${local}@${domain}` : null;
+};
+
+const challengeSchema = new mongoose.Schema({
+  challenge: { type: String, required: true, unique: true },
+  difficulty: Number,
+  expiresAt: { type: Date, required: true }
+});
+
+challengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ScanChallenge = mongoose.model('ScanChallenge', challengeSchema);
+
+const verificationSchema = new mongoose.Schema({
+  url: String,
+  // As typed (where the code and report go) and normalized (what limits count)
+  email: String,
+  emailNormalized: { type: String, index: true },
+  wcagLevel: String,
+  codeHash: String,
+  attempts: { type: Number, default: 0 },
+  ip: String,
+  verifiedAt: Date,
+  report: { type: mongoose.Schema.Types.ObjectId, ref: 'Report' },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+verificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ScanVerification = mongoose.model('ScanVerification', verificationSchema);
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
+
+const leadingZeroBits = (buffer) => {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+};
+
+export const createChallenge = async () => {
+  await ensureConnection();
+  const challenge = await new ScanChallenge({
+    challenge: crypto.randomBytes(16).toString('hex'),
+    difficulty: POW_DIFFICULTY,
+    expiresAt: new Date(Date.now() + CHALLENGE_TTL_MS)
+  }).save();
+  return { challenge: challenge.challenge, difficulty: challenge.difficulty, expiresAt: challenge.expiresAt };
+};
+
+// Each challenge can be spent once, solved or not
+export const verifyProofOfWork = async (challenge, nonce) => {
+  if (!POW_DIFFICULTY) return true;
+  if (typeof challenge !== 'string' || (typeof nonce !== 'string' && typeof nonce !== 'number')) return false;
+  await ensureConnection();
+  const issued = await ScanChallenge.findOneAndDelete({ challenge, expiresAt: { $gt: new Date() } });
+  if (!issued) return false;
+  return leadingZeroBits(sha256(`${challenge}:${nonce}`)) >= issued.difficulty;
+};
+
+const hashCode = (id, code) => crypto.createHash('sha256').update(`${id}:${code}`).digest('hex');
+
+// Returns the verification and its 6-digit code, which is only ever sent by email
+export const createVerification = async ({ url, email, emailNormalized, wcagLevel, ip }) => {
+  await ensureConnection();
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const verification = new ScanVerification({
+    url,
+    email,
+    emailNormalized,
+    wcagLevel,
+    ip,
+    expiresAt: new Date(Date.now() + VERIFICATION_TTL_MS)
+  });
+  verification.codeHash = hashCode(verification._id, code);
+  await verification.save();
+  return { verification, code };
+};
+
+// The verification when `code` matches, otherwise null. Wrong codes use up attempts;
+// a verified request can be confirmed again (say, the link opened twice) until it expires.
+export const confirmVerification = async (id, code) => {
+  if (!mongoose.isValidObjectId(id) || !/^\d{6}$/.test(String(code))) return null;
+  await ensureConnection();
+  const verification = await ScanVerification.findOneAndUpdate(
+    { _id: id, expiresAt: { $gt: new Date() }, attempts: { $lt: MAX_CODE_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!verification) return null;
+  const expected = Buffer.from(verification.codeHash, 'hex');
+  const given = Buffer.from(hashCode(verification._id, String(code)), 'hex');
+  if (!crypto.timingSafeEqual(expected, given)) return null;
+  // Only wrong codes count against the limit
+  await ScanVerification.updateOne({ _id: verification._id }, { $inc: { attempts: -1 } });
+  return verification;
+};
+
+// Reserves the report ID for a confirmed verification. `created` is true for the one caller
+// that should create and queue the report; concurrent or repeated confirmations share its ID.
+export const claimReport = async (verification) => {
+  const reportId = new mongoose.Types.ObjectId();
+  const claimed = await ScanVerification.findOneAndUpdate(
+    { _id: verification._id, report: null },
+    { report: reportId, verifiedAt: new Date() }
+  );
+  if (claimed) return { reportId, created: true };
+  const existing = await ScanVerification.findById(verification._id).select('report');
+  return { reportId: existing.report, created: false };
+};
@@ -0,0 +1,326 @@
+import mongoose from 'mongoose';
+import os from 'os';
+import { ensureConnection } from './db.js';
+
+// Queue configuration (overridable from the environment)
+const CONCURRENCY = parseInt(process.env.SCAN_CONCURRENCY, 10) || 2;
+const POLL_INTERVAL_MS = parseInt(process.env.SCAN_QUEUE_POLL_MS, 10) || 2000;
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.SCAN_JOB_TIMEOUT_MS, 10) || 10 * 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.SCAN_MAX_ATTEMPTS, 10) || 2;
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const STALE_AFTER_MS = 3 * HEARTBEAT_INTERVAL_MS;
+const RETRY_BACKOFF_MS = 30 * 1000;
+// How often a running job checks whether it was cancelled from another process
+const CANCEL_CHECK_INTERVAL_MS = 5 * 1000;
+
+// error.code (and abort reason) of a job cancelled while it ran
+export const JOB_CANCELLED = 'JOB_CANCELLED';
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const jobSchema = new mongoose.Schema({
+  type: { type: String, required: true },
+  payload: Object,
+  status: { type: String, default: 'queued', index: true },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: DEFAULT_MAX_ATTEMPTS },
+  timeoutMs: { type: Number, default: DEFAULT_TIMEOUT_MS },
+  runAfter: { type: Date, default: Date.now },
+  lockedBy: String,
+  lockedAt: Date,
+  heartbeatAt: Date,
+  lastError: String,
+  // Set when a running job is asked to stop; its worker aborts it
+  cancelRequestedAt: Date,
+  finishedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+jobSchema.index({ status: 1, runAfter: 1, createdAt: 1 });
+
+const Job = mongoose.model('Job', jobSchema);
+
+// Handlers registered per job type
+const handlers = new Map();
+
+// In-flight jobs owned by this process, and the controllers that abort them
+const running = new Map();
+const controllers = new Map();
+
+let pollTimer = null;
+let recoveryTimer = null;
+let stopped = true;
+// fillSlots runs one pass at a time; calls made during a pass ask for one more pass after it
+let filling = false;
+let refillRequested = false;
+
+export const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+export const enqueueJob = async (type, payload, options = {}) => {
+  await ensureConnection();
+  const job = await new Job({
+    type,
+    payload,
+    maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    // Jobs that do several units of work (e.g. one scan pass per viewport) scale the timeout
+    timeoutMs: (options.timeoutMs || DEFAULT_TIMEOUT_MS) * (options.timeoutScale || 1),
+    runAfter: options.runAfter || new Date()
+  }).save();
+  console.log(`Job ${job._id} (${type}) enqueued`);
+  // Pick it up right away instead of waiting for the next poll
+  setImmediate(fillSlots);
+  return job;
+};
+
+// Cancels the jobs matching `filter`: queued ones are dropped before they run, running ones
+// are aborted by their worker (right away in this process, otherwise within a few seconds).
+// Returns the number dropped and the running jobs that were asked to stop.
+export const cancelJobs = async (filter) => {
+  await ensureConnection();
+  const now = new Date();
+  const { modifiedCount: dequeued } = await Job.updateMany(
+    { ...filter, status: 'queued' },
+    { status: 'cancelled', finishedAt: now }
+  );
+  const runningJobs = await Job.find({ ...filter, status: 'running' });
+  if (runningJobs.length) {
+    await Job.updateMany({ _id: { $in: runningJobs.map(job => job._id) } }, { cancelRequestedAt: now });
+  }
+  for (const job of runningJobs) {
+    const controller = controllers.get(String(job._id));
+    if (controller) controller.abort(cancelledError());
+  }
+  return { dequeued, running: runningJobs };
+};
+
+export const getJobById = async (id) => {
+  await ensureConnection();
+  return Job.findById(id);
+};
+
+const cancelledError = () => Object.assign(new Error('Job was cancelled'), { code: JOB_CANCELLED });
+
+// Matches the job only while the claim it was read under still holds it. A job that was
+// recovered as stale and claimed again (even by this worker) has a new lockedAt.
+const claimFilter = (job) => ({ _id: job._id, status: 'running', lockedBy: job.lockedBy, lockedAt: job.lockedAt });
+
+// Another worker may have taken the job over (ours looked stale); nothing more is written for it
+const lockLostError = (job) => new Error(`Job ${job._id} lost its lock to another worker`);
+
+// Also aborts `controller`, so the handler stops instead of running on unobserved
+const withTimeout = (promise, ms, controller) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Job timed out after ${ms}ms`);
+      controller.abort(error);
+      reject(error);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Atomically claim the oldest runnable job
+const claimJob = async () => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    { status: 'queued', runAfter: { $lte: now }, type: { $in: [...handlers.keys()] } },
+    {
+      $set: { status: 'running', lockedBy: WORKER_ID, lockedAt: now, heartbeatAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+};
+
+// Called once a job has used up its attempts; its handler's onFailed runs only if the claim held
+const failJob = async (job, error) => {
+  const { modifiedCount } = await Job.updateOne(claimFilter(job), {
+    status: 'failed',
+    lastError: error.message,
+    finishedAt: new Date(),
+    $unset: { lockedBy: 1, lockedAt: 1 }
+  });
+  if (!modifiedCount) {
+    console.log(lockLostError(job).message);
+    return;
+  }
+  const handler = handlers.get(job.type);
+  if (handler && handler.onFailed) {
+    try {
+      await handler.onFailed(job, error);
+    } catch (e) {
+      console.error(`onFailed hook for job ${job._id} failed:`, e);
+    }
+  }
+};
+
+const markCancelled = async (job) => {
+  const { modifiedCount } = await Job.updateOne(claimFilter(job), {
+    status: 'cancelled',
+    finishedAt: new Date(),
+    $unset: { lockedBy: 1, lockedAt: 1 }
+  });
+  console.log(modifiedCount ? `Job ${job._id} (${job.type}) cancelled` : lockLostError(job).message);
+};
+
+// Handlers get { signal }, aborted with a JOB_CANCELLED error when the job is cancelled, with
+// the timeout error when it runs out of time and when its lock is lost; handlers must not
+// write their results once it has aborted for any other reason than cancellation
+const processJob = async (job) => {
+  const handler = handlers.get(job.type);
+  const controller = new AbortController();
+  controllers.set(String(job._id), controller);
+  const heartbeat = setInterval(() => {
+    Job.updateOne(claimFilter(job), { heartbeatAt: new Date() })
+      .then(({ matchedCount }) => matchedCount || controller.abort(lockLostError(job)))
+      .catch(e => console.error(`Heartbeat for job ${job._id} failed:`, e.message));
+  }, HEARTBEAT_INTERVAL_MS);
+  const cancelCheck = setInterval(() => {
+    Job.exists({ _id: job._id, cancelRequestedAt: { $ne: null } })
+      .then(cancelled => cancelled && controller.abort(cancelledError()))
+      .catch(e => console.error(`Cancel check for job ${job._id} failed:`, e.message));
+  }, CANCEL_CHECK_INTERVAL_MS);
+  const wasCancelled = () => controller.signal.aborted && controller.signal.reason?.code === JOB_CANCELLED;
+
+  try {
+    console.log(`Job ${job._id} (${job.type}) started, attempt ${job.attempts}/${job.maxAttempts}`);
+    await withTimeout(Promise.resolve().then(() => handler.run(job, { signal: controller.signal })), job.timeoutMs, controller);
+    if (wasCancelled()) {
+      await markCancelled(job);
+      return;
+    }
+    const { modifiedCount } = await Job.updateOne(claimFilter(job), {
+      status: 'complete',
+      finishedAt: new Date(),
+      $unset: { lockedBy: 1, lockedAt: 1, lastError: 1 }
+    });
+    console.log(modifiedCount ? `Job ${job._id} (${job.type}) completed` : lockLostError(job).message);
+  } catch (error) {
+    // A cancelled job is not retried; whoever cancelled it has settled its report
+    if (wasCancelled()) {
+      console.log(`Job ${job._id} (${job.type}) stopped after being cancelled: ${error.message}`);
+      await markCancelled(job);
+      return;
+    }
+    console.error(`Job ${job._id} (${job.type}) failed on attempt ${job.attempts}:`, error.message);
+    if (job.attempts < job.maxAttempts) {
+      const { modifiedCount } = await Job.updateOne(claimFilter(job), {
+        status: 'queued',
+        lastError: error.message,
+        runAfter: new Date(Date.now() + RETRY_BACKOFF_MS * job.attempts),
+        $unset: { lockedBy: 1, lockedAt: 1 }
+      });
+      if (!modifiedCount) console.log(lockLostError(job).message);
+    } else {
+      await failJob(job, error);
+    }
+  } finally {
+    clearInterval(heartbeat);
+    clearInterval(cancelCheck);
+    controllers.delete(String(job._id));
+  }
+};
+
+const fillSlots = async () => {
+  if (stopped) return;
+  // Passes running side by side would each see the same free slots and claim too many jobs
+  if (filling) {
+    refillRequested = true;
+    return;
+  }
+  filling = true;
+  try {
+    await ensureConnection();
+    while (!stopped && running.size < CONCURRENCY) {
+      const job = await claimJob();
+      if (!job) break;
+      const promise = processJob(job)
+        .catch(e => console.error(`Unexpected error processing job ${job._id}:`, e))
+        .finally(() => {
+          running.delete(String(job._id));
+          setImmediate(fillSlots);
+        });
+      running.set(String(job._id), promise);
+    }
+  } catch (error) {
+    console.error('Queue poll failed:', error.message);
+  } finally {
+    filling = false;
+    if (refillRequested) {
+      refillRequested = false;
+      setImmediate(fillSlots);
+    }
+  }
+};
+
+// Requeue or fail jobs whose worker stopped sending heartbeats (crash, deploy)
+export const recoverStaleJobs = async () => {
+  await ensureConnection();
+  const staleBefore = new Date(Date.now() - STALE_AFTER_MS);
+  const stale = await Job.find({
+    status: 'running',
+    $or: [{ heartbeatAt: { $lt: staleBefore } }, { heartbeatAt: null }],
+    _id: { $nin: [...running.keys()] }
+  });
+
+  for (const job of stale) {
+    if (job.cancelRequestedAt) {
+      console.log(`Recovering stale job ${job._id} (${job.type}), it was cancelled`);
+      await markCancelled(job);
+    } else if (job.attempts < job.maxAttempts) {
+      console.log(`Recovering stale job ${job._id} (${job.type}), requeueing`);
+      await Job.updateOne(claimFilter(job), {
+        status: 'queued',
+        lastError: 'Worker stopped while the job was running',
+        runAfter: new Date(),
+        $unset: { lockedBy: 1, lockedAt: 1 }
+      });
+    } else {
+      console.log(`Recovering stale job ${job._id} (${job.type}), no attempts left`);
+      await failJob(job, new Error('Worker stopped while the job was running and no attempts are left'));
+    }
+  }
+  return stale.length;
+};
+
+export const startQueue = async () => {
+  if (!stopped) return;
+  stopped = false;
+  console.log(`Starting job queue (worker ${WORKER_ID}, concurrency ${CONCURRENCY})`);
+
+  // Jobs owned by a previous run of this process can be recovered immediately
+  await ensureConnection();
+  const orphaned = await Job.find({ status: 'running', lockedBy: WORKER_ID });
+  for (const job of orphaned) {
+    await Job.updateOne({ _id: job._id }, { heartbeatAt: new Date(0) });
+  }
+  await recoverStaleJobs();
+
+  pollTimer = setInterval(fillSlots, POLL_INTERVAL_MS);
+  recoveryTimer = setInterval(() => {
+    recoverStaleJobs().catch(e => console.error('Stale job recovery failed:', e.message));
+  }, HEARTBEAT_INTERVAL_MS);
+  fillSlots();
+};
+
+// Stop taking new jobs and hand in-flight ones back to the queue
+export const stopQueue = async () => {
+  if (stopped) return;
+  stopped = true;
+  clearInterval(pollTimer);
+  clearInterval(recoveryTimer);
+  const ids = [...running.keys()];
+  if (ids.length) {
+    console.log(`Returning ${ids.length} in-flight job(s) to the queue`);
+    // Jobs being cancelled are left to stale job recovery, which finishes the cancellation
+    await Job.updateMany({ _id: { $in: ids }, status: 'running', lockedBy: WORKER_ID, cancelRequestedAt: null }, {
+      status: 'queued',
+      runAfter: new Date(),
+      $inc: { attempts: -1 },
+      $unset: { lockedBy: 1, lockedAt: 1 }
+    });
+  }
+};
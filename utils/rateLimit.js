@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+import { ensureConnection } from './db.js';
+
+// Fixed-window counters kept in Mongo, so limits hold across restarts and instances.
+// Expired windows are removed by the TTL index.
+const rateLimitSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  windowStart: { type: Date, required: true },
+  count: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true }
+});
+
+rateLimitSchema.index({ key: 1, windowStart: 1 }, { unique: true });
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.model('RateLimit', rateLimitSchema);
+
+// Counts one hit against `key` and reports whether it is within `limit` per `windowMs`.
+// retryAfter is in seconds, for the Retry-After header.
+export const consumeRateLimit = async (key, { limit, windowMs }) => {
+  await ensureConnection();
+  const now = Date.now();
+  const windowStart = new Date(now - (now % windowMs));
+  const expiresAt = new Date(windowStart.getTime() + windowMs);
+  const increment = () => RateLimit.findOneAndUpdate(
+    { key, windowStart },
+    { $inc: { count: 1 }, $setOnInsert: { expiresAt } },
+    { upsert: true, new: true }
+  );
+  let counter;
+  try {
+    counter = await increment();
+  } catch (error) {
+    // Two first hits in a window can race on the upsert; the loser retries as an update
+    if (error.code !== 11000) throw error;
+    counter = await increment();
+  }
+  return {
+    allowed: counter.count <= limit,
+    remaining: Math.max(limit - counter.count, 0),
+    retryAfter: Math.ceil((expiresAt.getTime() - now) / 1000)
+  };
+};
@@ -0,0 +1,126 @@
+import mongoose from 'mongoose';
+import { getAllReports } from './db.js';
+import { normalizeEmail } from './publicScans.js';
+
+// Query parsing and cursor pagination for GET /api/reports
+export const REPORT_TYPES = ['public', 'admin', 'scheduled'];
+export const REPORT_STATUSES = ['pending', 'complete', 'error', 'cancelled', 'timeout'];
+export const WCAG_LEVELS = ['A', 'AA', 'AAA'];
+const SORT_FIELDS = ['createdAt', 'score', 'url'];
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+// Listings leave out the result body; view=full brings it back
+const SUMMARY_PROJECTION = '-result';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// 'a,b' or repeated parameters, each value checked against `allowed`
+const listParam = (value, allowed, name) => {
+  const values = [value].flat().flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+  const invalid = values.filter(item => !allowed.includes(item));
+  if (invalid.length) {
+    throw new Error(`Invalid ${name} '${invalid[0]}', expected one of ${allowed.join(', ')}`);
+  }
+  return values;
+};
+
+const dateParam = (value, name) => {
+  const date = new Date(String(value));
+  if (isNaN(date)) throw new Error(`Invalid ${name} date`);
+  return date;
+};
+
+// Cursors are opaque to clients: the sort value and ID of the last item on the previous page
+const encodeCursor = (report, field) => Buffer.from(JSON.stringify({ v: report[field] ?? null, id: report._id })).toString('base64url');
+
+const decodeCursor = (cursor, field) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!mongoose.isValidObjectId(id)) throw new Error();
+    return { value: field === 'createdAt' ? new Date(v) : v, id: new mongoose.Types.ObjectId(id) };
+  } catch (e) {
+    throw new Error('Invalid cursor');
+  }
+};
+
+// Turns the request's query string into a listing; throws on invalid parameters.
+//   url, domain, search (URL substring), email, type, status, wcagLevel, mode, from, to,
+//   sort (createdAt, score or url; prefix with - for descending), limit, cursor, view (summary or full)
+export const parseReportListQuery = (query = {}) => {
+  const conditions = [];
+  if (query.url) conditions.push({ url: String(query.url) });
+  if (query.domain) {
+    if (!/^[a-z0-9.-]+$/i.test(String(query.domain))) throw new Error('Invalid domain');
+    conditions.push({ url: new RegExp(`^https?://${escapeRegex(String(query.domain))}(:\\d+)?(/|$)`, 'i') });
+  }
+  if (query.search) conditions.push({ url: new RegExp(escapeRegex(String(query.search).slice(0, 200)), 'i') });
+  if (query.email) {
+    const email = String(query.email).trim();
+    conditions.push({
+      $or: [
+        { email: new RegExp(`^${escapeRegex(email)}$`, 'i') },
+        ...(normalizeEmail(email) ? [{ emailNormalized: normalizeEmail(email) }] : [])
+      ]
+    });
+  }
+  if (query.type) conditions.push({ type: { $in: listParam(query.type, REPORT_TYPES, 'type') } });
+  if (query.status) conditions.push({ status: { $in: listParam(query.status, REPORT_STATUSES, 'status') } });
+  if (query.wcagLevel) conditions.push({ wcagLevel: { $in: listParam(query.wcagLevel, WCAG_LEVELS, 'wcagLevel') } });
+  if (query.mode) conditions.push({ mode: { $in: listParam(query.mode, ['page', 'site'], 'mode') } });
+  if (query.from || query.to) {
+    const createdAt = {};
+    if (query.from) createdAt.$gte = dateParam(query.from, 'from');
+    if (query.to) createdAt.$lte = dateParam(query.to, 'to');
+    conditions.push({ createdAt });
+  }
+
+  const sortParam = String(query.sort || '-createdAt');
+  const field = sortParam.replace(/^-/, '');
+  if (!SORT_FIELDS.includes(field)) {
+    throw new Error(`Invalid sort, expected one of ${SORT_FIELDS.join(', ')} (prefix with - for descending)`);
+  }
+  // Unscored reports (pending or failed) can't be placed in a score order
+  if (field === 'score') conditions.push({ score: { $ne: null } });
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+  if (!(limit >= 1 && limit <= MAX_LIMIT)) throw new Error(`limit must be between 1 and ${MAX_LIMIT}`);
+
+  const view = String(query.view || 'summary');
+  if (!['summary', 'full'].includes(view)) throw new Error("view must be 'summary' or 'full'");
+
+  return {
+    conditions,
+    sort: { field, direction: sortParam.startsWith('-') ? -1 : 1 },
+    limit,
+    cursor: query.cursor ? decodeCursor(query.cursor, field) : null,
+    view
+  };
+};
+
+// One page of top-level reports within `scope` (an ownership filter, or {} for everything).
+// nextCursor is null on the last page.
+export const listReports = async (scope, { conditions, sort, limit, cursor, view }) => {
+  const { field, direction } = sort;
+  const clauses = [scope, ...conditions];
+  if (cursor) {
+    const beyond = direction === -1 ? '$lt' : '$gt';
+    clauses.push({
+      $or: [
+        { [field]: { [beyond]: cursor.value } },
+        { [field]: cursor.value, _id: { [beyond]: cursor.id } }
+      ]
+    });
+  }
+  // One extra row tells us whether there is another page
+  const rows = await getAllReports({ $and: clauses }, {
+    sort: { [field]: direction, _id: direction },
+    limit: limit + 1,
+    select: view === 'full' ? undefined : SUMMARY_PROJECTION
+  });
+  const items = rows.slice(0, limit);
+  return {
+    items,
+    nextCursor: rows.length > limit ? encodeCursor(items[items.length - 1], field) : null
+  };
+};
@@ -0,0 +1,173 @@
+import { encryptJson, decryptJson } from './secrets.js';
+
+const STEP_TIMEOUT_MS = 30000;
+const MAX_STEPS = 30;
+
+const STEP_ACTIONS = ['navigate', 'fill', 'click', 'waitForUrl', 'waitForSelector', 'wait'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Validates an auth config from a request body; returns a cleaned copy or throws
+export const validateAuthConfig = (config) => {
+  if (!isPlainObject(config)) {
+    throw new Error('auth must be an object');
+  }
+  const clean = {};
+
+  if (config.steps !== undefined) {
+    if (!Array.isArray(config.steps) || config.steps.length > MAX_STEPS) {
+      throw new Error(`auth.steps must be an array of at most ${MAX_STEPS} steps`);
+    }
+    clean.steps = config.steps.map((step, index) => {
+      if (!isPlainObject(step) || !STEP_ACTIONS.includes(step.action)) {
+        throw new Error(`auth.steps[${index}].action must be one of ${STEP_ACTIONS.join(', ')}`);
+      }
+      const { action, url, selector, value, ms } = step;
+      if (action === 'navigate' && !/^https?:\/\//i.test(String(url || ''))) {
+        throw new Error(`auth.steps[${index}] needs an http(s) url`);
+      }
+      if (['fill', 'click', 'waitForSelector'].includes(action) && !selector) {
+        throw new Error(`auth.steps[${index}] needs a selector`);
+      }
+      if (action === 'fill' && typeof value !== 'string') {
+        throw new Error(`auth.steps[${index}] needs a string value`);
+      }
+      if (action === 'waitForUrl' && !url) {
+        throw new Error(`auth.steps[${index}] needs a url (substring or /regex/)`);
+      }
+      return { action, url, selector, value, ms: action === 'wait' ? Math.min(parseInt(ms, 10) || 1000, STEP_TIMEOUT_MS) : undefined };
+    });
+  }
+
+  if (config.cookies !== undefined) {
+    if (!Array.isArray(config.cookies)) {
+      throw new Error('auth.cookies must be an array');
+    }
+    clean.cookies = config.cookies.map((cookie, index) => {
+      if (!isPlainObject(cookie) || !cookie.name || typeof cookie.value !== 'string') {
+        throw new Error(`auth.cookies[${index}] needs a name and a string value`);
+      }
+      const { name, value, domain, path, secure, httpOnly, sameSite } = cookie;
+      return { name, value, domain, path, secure, httpOnly, sameSite };
+    });
+  }
+
+  if (config.headers !== undefined) {
+    if (!isPlainObject(config.headers) || Object.values(config.headers).some(v => typeof v !== 'string')) {
+      throw new Error('auth.headers must map header names to string values');
+    }
+    clean.headers = { ...config.headers };
+  }
+
+  if (config.basicAuth !== undefined) {
+    const { username, password } = config.basicAuth || {};
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      throw new Error('auth.basicAuth needs a username and password');
+    }
+    clean.basicAuth = { username, password };
+  }
+
+  if (!Object.keys(clean).length) {
+    throw new Error('auth needs at least one of steps, cookies, headers or basicAuth');
+  }
+  return clean;
+};
+
+// What a report may show about its auth config: shape, never values
+export const describeAuthConfig = (config) => ({
+  steps: config.steps ? config.steps.map(step => step.action) : [],
+  cookies: config.cookies ? config.cookies.map(cookie => cookie.name) : [],
+  headers: config.headers ? Object.keys(config.headers) : [],
+  basicAuth: Boolean(config.basicAuth)
+});
+
+export const encryptAuthConfig = (config) => encryptJson(config);
+export const decryptAuthConfig = (payload) => (payload ? decryptJson(payload) : null);
+
+// Validates and encrypts a request's auth config into the fields stored on reports and schedules
+export const prepareAuthFields = (config) => {
+  if (config === undefined || config === null) return {};
+  const clean = validateAuthConfig(config);
+  return { auth: encryptAuthConfig(clean), authSummary: describeAuthConfig(clean) };
+};
+
+// The configured headers plus basic auth as an Authorization header, sent up front rather than
+// in answer to a challenge, which could come from any host the page loads from
+export const credentialHeaders = (config) => {
+  const headers = { ...(config.headers || {}) };
+  if (config.basicAuth) {
+    const { username, password } = config.basicAuth;
+    headers.Authorization = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+  }
+  return headers;
+};
+
+// Static credentials as plain request headers, for fetch-based requests such as the site crawler
+export const authRequestHeaders = (config) => {
+  if (!config) return {};
+  const headers = credentialHeaders(config);
+  if (config.cookies && config.cookies.length) {
+    headers.Cookie = config.cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+  }
+  return headers;
+};
+
+const urlMatches = (pattern, url) => {
+  const regexMatch = String(pattern).match(/^\/(.+)\/([a-z]*)$/);
+  return regexMatch ? new RegExp(regexMatch[1], regexMatch[2]).test(url) : url.includes(pattern);
+};
+
+// Runs the login steps in a page; `checkUrl` vets every URL the steps navigate to
+export const performLogin = async (page, steps, { checkUrl } = {}) => {
+  for (const [index, step] of steps.entries()) {
+    console.log(`Login step ${index + 1}/${steps.length}: ${step.action}`);
+    switch (step.action) {
+      case 'navigate':
+        if (checkUrl) await checkUrl(step.url);
+        await page.goto(step.url, { waitUntil: 'networkidle2', timeout: STEP_TIMEOUT_MS * 2 });
+        break;
+      case 'fill':
+        await page.waitForSelector(step.selector, { visible: true, timeout: STEP_TIMEOUT_MS });
+        // Clear any prefilled value before typing
+        await page.$eval(step.selector, el => { el.value = ''; });
+        await page.type(step.selector, step.value);
+        break;
+      case 'click':
+        await page.waitForSelector(step.selector, { visible: true, timeout: STEP_TIMEOUT_MS });
+        await page.click(step.selector);
+        break;
+      case 'waitForUrl': {
+        const deadline = Date.now() + STEP_TIMEOUT_MS;
+        while (!urlMatches(step.url, page.url())) {
+          if (Date.now() > deadline) {
+            throw new Error(`Login step ${index + 1}: URL never matched ${step.url} (at ${page.url()})`);
+          }
+          await new Promise(resolve => setTimeout(resolve, 250));
+        }
+        break;
+      }
+      case 'waitForSelector':
+        await page.waitForSelector(step.selector, { timeout: STEP_TIMEOUT_MS });
+        break;
+      case 'wait':
+        await new Promise(resolve => setTimeout(resolve, step.ms));
+        break;
+      default:
+        throw new Error(`Unknown login step '${step.action}'`);
+    }
+  }
+};
+
+// Applies a session's cookies to a fresh page before it navigates. Its headers, basic auth
+// included, are added by guardPage(page, session), to requests for the scanned origin only.
+export const applySession = async (page, session) => {
+  if (!session) return;
+  if (session.cookies && session.cookies.length) {
+    await page.setCookie(...session.cookies);
+  }
+};
+
+// Cookies without a domain are scoped to the scanned URL
+export const withCookieDefaults = (cookies, url) => (cookies || []).map(cookie => (
+  cookie.domain ? cookie : { ...cookie, url }
+));
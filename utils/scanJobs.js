@@ -0,0 +1,370 @@
+import mongoose from 'mongoose';
+import { runScan, SCAN_ABORTED } from './scanRunner.js';
+import { enqueueJob, registerJobHandler, cancelJobs, JOB_CANCELLED } from './queue.js';
+import { saveReport, getChildReports, getReportById, getScheduleById } from './db.js';
+import { generatePDF } from './pdf.js';
+import { sendReportEmail } from './email.js';
+import { discoverPages, rollUpSiteResult } from './siteScan.js';
+import { diffAgainst } from './diff.js';
+import { decryptAuthConfig, authRequestHeaders } from './scanAuth.js';
+import { storeScreenshots } from './screenshots.js';
+import { scoreFields, siteScoreFields } from './score.js';
+import { dispatchReportEvent } from './webhooks.js';
+import { applySuppressions } from './suppressions.js';
+import { createProgressReporter } from './progress.js';
+
+// Overall limit on one page scan, every pass and screenshot included. A scan that reaches it is
+// stopped and stored with status 'timeout' and what it found so far. Keep it below
+// SCAN_JOB_TIMEOUT_MS, which fails (and retries) the job instead. Both scale with passCount.
+const SCAN_DEADLINE_MS = parseInt(process.env.SCAN_DEADLINE_MS, 10) || 8 * 60 * 1000;
+
+// A scan runs one pass per UI state and viewport
+const passCount = ({ states, viewports }) => (states?.length || 1) * (viewports?.length || 1);
+
+// Recomputes a site report from its children; completes it once none are pending. Pages that
+// finish together race here: the roll-up is only written if the parent is unchanged since it
+// was read (the pages are read after it, so they are at least as fresh), otherwise it's redone.
+const refreshSiteReport = async (parentId) => {
+  const Report = mongoose.model('Report');
+  for (;;) {
+    const parent = await Report.findById(parentId);
+    if (!parent) return;
+    const children = await getChildReports(parentId);
+    const update = await siteRollUp(parent, children);
+    const { modifiedCount } = await Report.updateOne(
+      { _id: parentId, status: parent.status, rollUpVersion: parent.rollUpVersion ?? null },
+      { ...update, $inc: { rollUpVersion: 1 } }
+    );
+    if (!modifiedCount) continue;
+    if (update.status) {
+      console.log(`Site scan completed for ${parent.url} (${update.result.site.totals.complete}/${update.result.site.totals.pages} pages)`);
+      await topLevelReportDone(parentId);
+    }
+    return;
+  }
+};
+
+// The update for a site report rolled up from `children`, with its final status once none are
+// pending and discovery has queued them all (site.queuedAt); pages that finish while it is still
+// queueing must not complete the report early
+const siteRollUp = async (parent, children) => {
+  const result = rollUpSiteResult(parent.result?.site || {}, children);
+  const { totals } = result.site;
+  const update = { result };
+  // A cancelled site report keeps its status; its pages are only rolled up
+  if (parent.status !== 'pending') return update;
+  const progress = createProgressReporter(parent._id);
+  const done = totals.pages - totals.pending;
+  progress.emit({
+    stage: 'pages',
+    message: `${done}/${totals.pages} pages scanned`,
+    current: done,
+    total: totals.pages,
+    percent: totals.pages ? Math.round((100 * done) / totals.pages) : 100
+  });
+  if (totals.pending === 0 && result.site.queuedAt) {
+    update.status = totals.complete > 0 ? 'complete' : totals.timedOut > 0 ? 'timeout' : 'error';
+    Object.assign(update, siteScoreFields(result.site));
+    if (update.status === 'error') {
+      result.error = 'All page scans failed';
+    }
+    progress.emit({ stage: update.status, message: result.error || `Site scan ${update.status === 'complete' ? 'complete' : 'timed out'}`, percent: 100 });
+  }
+  // Progress first, so a stream that sees the final status has every event
+  await progress.flush();
+  return update;
+};
+
+// Emails a finished scheduled report when its schedule asks for it
+const emailScheduledReport = async (reportId) => {
+  const report = await getReportById(reportId);
+  if (!report?.schedule || report.status !== 'complete') return;
+  const schedule = await getScheduleById(report.schedule);
+  if (!schedule?.emailResults || !schedule.email) return;
+  try {
+    // Recurring reports show what changed since the previous run
+    const diff = report.mode === 'site' ? null : await diffAgainst(report, 'previous');
+    const pdfBuffer = await generatePDF(report, { diff });
+    await sendReportEmail({
+      to: schedule.email,
+      subject: `Your Scheduled Accessibility Report for ${report.url}`,
+      text: `Attached is the latest scheduled accessibility report for ${report.url}.`,
+      pdfBuffer
+    });
+    console.log(`Scheduled report ${reportId} emailed to ${schedule.email}`);
+  } catch (error) {
+    console.error(`Failed to email scheduled report ${reportId}:`, error);
+  }
+};
+
+// A top-level report reached a final status: email it if scheduled, notify webhooks
+const topLevelReportDone = async (reportId) => {
+  await emailScheduledReport(reportId);
+  await dispatchReportEvent(reportId).catch(error => (
+    console.error(`Failed to queue webhooks for report ${reportId}:`, error)
+  ));
+};
+
+// Announces the first attempt at a report; retries are not announced again
+const reportStarted = async (job) => {
+  if (job.attempts !== 1) return;
+  await dispatchReportEvent(job.payload.reportId, 'scan.started').catch(error => (
+    console.error(`Failed to queue webhooks for report ${job.payload.reportId}:`, error)
+  ));
+};
+
+// Site pages update their parent; top-level reports are done
+const reportFinished = async (reportId) => {
+  const report = await mongoose.model('Report').findById(reportId, 'parentReport');
+  if (report?.parentReport) {
+    await refreshSiteReport(report.parentReport);
+  } else {
+    await topLevelReportDone(reportId);
+  }
+};
+
+// A signal that aborts, with the same reason, when any of `signals` does. AbortSignal.any()
+// would do, but it needs Node 20.3.
+const anySignal = (signals) => {
+  const controller = new AbortController();
+  for (const source of signals) {
+    if (source.aborted) {
+      controller.abort(source.reason);
+      break;
+    }
+    // Removed once the combined signal aborts
+    source.addEventListener('abort', () => controller.abort(source.reason), { once: true, signal: controller.signal });
+  }
+  return controller.signal;
+};
+
+// Which final status an aborted scan gets: 'cancelled' or 'timeout' (its deadline passed).
+// Anything else (the job itself timed out) is rethrown and handled by the queue.
+const abortedStatus = (error, deadline) => {
+  if (error.code !== SCAN_ABORTED) throw error;
+  if (error.reason?.code === JOB_CANCELLED) return 'cancelled';
+  if (deadline.aborted) return 'timeout';
+  throw error;
+};
+
+// Runs a single-page scan for a pending report
+registerJobHandler('scan', {
+  run: async (job, { signal }) => {
+    const { reportId, url, wcagLevel, auth, states, viewports, axeConfig } = job.payload;
+    // Pages of a cancelled site scan may still be queued
+    const current = await mongoose.model('Report').findById(reportId, 'status');
+    if (current?.status === 'cancelled') {
+      console.log(`Skipping scan of ${url}, report ${reportId} was cancelled`);
+      return;
+    }
+    await reportStarted(job);
+    const progress = createProgressReporter(reportId);
+    const deadlineMs = SCAN_DEADLINE_MS * passCount({ states, viewports });
+    const deadline = AbortSignal.timeout(deadlineMs);
+    let result;
+    let status = 'complete';
+    try {
+      result = await runScan(url, wcagLevel, {
+        auth: decryptAuthConfig(auth),
+        states,
+        viewports,
+        axeConfig,
+        onProgress: progress.emit,
+        signal: anySignal([signal, deadline])
+      });
+    } catch (error) {
+      status = abortedStatus(error, deadline);
+      const message = status === 'timeout'
+        ? `Scan stopped after reaching its ${Math.round(deadlineMs / 1000)}s deadline`
+        : 'Scan cancelled';
+      console.log(`${message} (${url}, during ${error.stage})`);
+      // Whatever the scan had found is kept and marked incomplete
+      result = { ...(error.partial || { error: message }), incomplete: { reason: status, stage: error.stage, message } };
+    } finally {
+      // Nothing from this attempt may land after the failure handler's event
+      await progress.flush();
+    }
+    progress.emit({ stage: 'saving', message: 'Saving results', percent: 97 });
+    // Suppressed issues are marked before the scores are computed
+    const owner = await mongoose.model('Report').findById(reportId, 'url createdBy orgId');
+    if (owner) {
+      const suppressed = await applySuppressions(owner, result);
+      if (suppressed) console.log(`Marked ${suppressed} suppressed issue(s) for ${url}`);
+    }
+    // Images go to the blob store; the report keeps their IDs and URLs
+    const screenshotCount = await storeScreenshots(reportId, result);
+    console.log(`Stored ${screenshotCount} screenshot(s) for ${url}`);
+    // A job that timed out or lost its lock meanwhile stores nothing; the queue settles it
+    if (signal.aborted && signal.reason?.code !== JOB_CANCELLED) throw signal.reason;
+    // Progress first, so a stream that sees the final status has every event
+    progress.emit({ stage: status, message: result.incomplete?.message || 'Scan complete', percent: 100 });
+    await progress.flush();
+    // A partial result is counted, but not scored: its score would not compare with full scans
+    const { score, issueCounts } = scoreFields(result);
+    await mongoose.model('Report').findByIdAndUpdate(reportId, {
+      result,
+      ...(status === 'complete' ? { score } : {}),
+      ...(result.unified ? { issueCounts } : {}),
+      status
+    });
+    console.log(`Scan ${status === 'complete' ? 'completed' : status} for ${url}`);
+    await reportFinished(reportId);
+  },
+  onFailed: async (job, error) => {
+    const { reportId, url } = job.payload;
+    console.log(`Scan error for ${url}: ${error.message}`);
+    const progress = createProgressReporter(reportId);
+    progress.emit({ stage: 'error', message: error.message, percent: 100 });
+    await progress.flush();
+    await mongoose.model('Report').findByIdAndUpdate(reportId, {
+      status: 'error',
+      result: { error: error.message }
+    });
+    console.log(`Scan error stored in database for ${url}`);
+    await reportFinished(reportId);
+  }
+});
+
+// Discovers the pages of a site and queues one child page scan per page
+registerJobHandler('site-scan', {
+  run: async (job, { signal }) => {
+    const { reportId, url, wcagLevel, crawl, auth, states, viewports, axeConfig } = job.payload;
+    const Report = mongoose.model('Report');
+    const parent = await Report.findById(reportId);
+    if (!parent) {
+      throw new Error(`Site report ${reportId} no longer exists`);
+    }
+
+    await reportStarted(job);
+    const progress = createProgressReporter(reportId);
+    progress.emit({ stage: 'discovering', message: 'Finding pages to scan', percent: 0 });
+    const discovered = await discoverPages(url, crawl, authRequestHeaders(decryptAuthConfig(auth)));
+    // A retried job adds only what the failed attempt didn't: pages without a report, and
+    // scans for pending pages whose job was never queued
+    const existing = await getChildReports(reportId);
+    const known = new Set(existing.map(child => child.url));
+    // Still within the crawl's page limit, should the site have changed in between
+    const pages = discovered.filter(pageUrl => !known.has(pageUrl))
+      .slice(0, Math.max(discovered.length - existing.length, 0));
+    if (existing.length) {
+      console.log(`Site scan ${reportId} already has ${existing.length} page report(s), adding ${pages.length}`);
+    }
+    const pageCount = existing.length + pages.length;
+    progress.emit({ stage: 'pages', message: `Found ${pageCount} page(s)`, current: 0, total: pageCount, percent: 0 });
+    await progress.flush();
+    // Page scans may already be rolling up into the report
+    await Report.updateOne({ _id: reportId }, {
+      $set: { 'result.site.startUrl': url, 'result.site.discoveredAt': new Date(), 'result.site.pageCount': pageCount },
+      $unset: { 'result.site.queuedAt': 1 },
+      $inc: { rollUpVersion: 1 }
+    });
+
+    for (const child of existing) {
+      if (signal.aborted) break;
+      if (child.status !== 'pending') continue;
+      const queued = await mongoose.model('Job').exists({
+        type: 'scan',
+        'payload.reportId': child._id,
+        status: { $in: ['queued', 'running'] }
+      });
+      if (!queued) {
+        await enqueueScan({ reportId: child._id, url: child.url, wcagLevel, auth, states, viewports, axeConfig });
+      }
+    }
+
+    for (const pageUrl of pages) {
+      // Cancelled while queueing: pages queued after cancelScan looked are cancelled below
+      if (signal.aborted) break;
+      const child = await saveReport({
+        url: pageUrl,
+        email: parent.email,
+        type: parent.type,
+        status: 'pending',
+        mode: 'page',
+        authSummary: parent.authSummary,
+        states: parent.states,
+        viewports: parent.viewports,
+        axeConfig: parent.axeConfig,
+        createdBy: parent.createdBy,
+        orgId: parent.orgId,
+        parentReport: parent._id
+      });
+      await enqueueScan({ reportId: child._id, url: pageUrl, wcagLevel, auth, states, viewports, axeConfig });
+    }
+    if (signal.aborted) {
+      await cancelPageScans(await pendingPageIds(reportId));
+    }
+    // From here on, the last page to finish completes the report
+    await Report.updateOne({ _id: reportId }, {
+      $set: { 'result.site.queuedAt': new Date() },
+      $inc: { rollUpVersion: 1 }
+    });
+    await refreshSiteReport(reportId);
+  },
+  onFailed: async (job, error) => {
+    const { reportId, url } = job.payload;
+    console.log(`Site scan error for ${url}: ${error.message}`);
+    const progress = createProgressReporter(reportId);
+    progress.emit({ stage: 'error', message: error.message, percent: 100 });
+    await progress.flush();
+    await mongoose.model('Report').findByIdAndUpdate(reportId, {
+      status: 'error',
+      result: { error: error.message }
+    });
+    await topLevelReportDone(reportId);
+  }
+});
+
+// Cancelled reports keep their partial result, if any, with the reason recorded
+const settleCancelled = async (reportId) => {
+  const progress = createProgressReporter(reportId);
+  progress.emit({ stage: 'cancelled', message: 'Scan cancelled', percent: 100 });
+  await progress.flush();
+  const { modifiedCount } = await mongoose.model('Report').updateOne(
+    { _id: reportId, status: 'pending' },
+    { status: 'cancelled', 'result.incomplete': { reason: 'cancelled', message: 'Scan cancelled' } }
+  );
+  if (modifiedCount) await reportFinished(reportId);
+};
+
+// Scans that haven't started are dropped and their reports settled here; running ones are
+// aborted by their worker, which settles the report with what it found.
+// Returns the number of scans still stopping.
+const cancelPageScans = async (reportIds) => {
+  const { running } = await cancelJobs({ type: 'scan', 'payload.reportId': { $in: reportIds } });
+  const stopping = new Set(running.map(job => String(job.payload.reportId)));
+  for (const reportId of reportIds) {
+    if (!stopping.has(String(reportId))) await settleCancelled(reportId);
+  }
+  return stopping.size;
+};
+
+const pendingPageIds = async (siteReportId) => (
+  await mongoose.model('Report').find({ parentReport: siteReportId, status: 'pending' }, '_id')
+).map(page => page._id);
+
+// Cancels a pending report. A site report is settled at once (so pages that finish meanwhile
+// can't complete it), its discovery is stopped and its pending pages are cancelled with it.
+// Returns the number of page scans still stopping.
+export const cancelScan = async (report) => {
+  let stopping;
+  if (report.mode === 'site') {
+    await settleCancelled(report._id);
+    await cancelJobs({ type: 'site-scan', 'payload.reportId': report._id });
+    stopping = await cancelPageScans(await pendingPageIds(report._id));
+  } else {
+    stopping = await cancelPageScans([report._id]);
+  }
+  console.log(`Cancelled scan ${report._id} (${stopping} running page scan(s) stopping)`);
+  return stopping;
+};
+
+// `auth` is the encrypted auth config; it is only decrypted inside the worker
+export const enqueueScan = ({ reportId, url, wcagLevel, auth, states, viewports, axeConfig }, options = {}) =>
+  enqueueJob('scan', { reportId, url, wcagLevel, auth, states, viewports, axeConfig }, {
+    timeoutScale: passCount({ states, viewports }),
+    ...options
+  });
+
+export const enqueueSiteScan = ({ reportId, url, wcagLevel, crawl, auth, states, viewports, axeConfig }, options = {}) =>
+  enqueueJob('site-scan', { reportId, url, wcagLevel, crawl, auth, states, viewports, axeConfig }, options);
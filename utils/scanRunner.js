@@ -1,11 +1,14 @@
 import pa11y from 'pa11y';
-import puppeteer from 'puppeteer-extra';
-import StealthPlugin from 'puppeteer-extra-plugin-stealth';
-import dns from 'dns/promises';
-import net from 'net';
+import { normalizeFindings, collectSelectors } from './normalize.js';
+import { applySession, performLogin, withCookieDefaults, credentialHeaders } from './scanAuth.js';
+import { runActions } from './actions.js';
+import { DEFAULT_VIEWPORT, applyViewport, toPuppeteerViewport } from './viewports.js';
+import { AXE_VERSION, injectAxe, resolveAxeRunConfig, runAxe } from './axe.js';
+import { EGRESS_BLOCKED, assertPublicUrl, assertEgressAllowed, guardPage } from './egress.js';
+import { acquireContext } from './browserPool.js';
 
-// Apply stealth plugin
-puppeteer.use(StealthPlugin());
+// error.code of a scan stopped through options.signal; error.partial holds what it had found
+export const SCAN_ABORTED = 'SCAN_ABORTED';
 
 // Array of realistic user agents to rotate through
 const USER_AGENTS = [
@@ -133,65 +136,169 @@ async function getElementScreenshot(page, selector, options = {}) {
     return null;
 }
 
-export const runScan = async (url, wcagLevel = 'AA') => {
-    // SSRF protection: block internal/private IPs
+// Resolves selectors to element identities so findings from different engines can be matched
+async function resolveElementIds(page, selectors) {
     try {
-        const { hostname } = new URL(url);
-        const addresses = await dns.lookup(hostname, { all: true });
-        for (const addr of addresses) {
-            if (isPrivateIp(addr.address)) {
-                throw new Error('Scanning internal/private IP addresses is not allowed for security reasons.');
+        return await page.evaluate((sels) => {
+            const ids = new Map();
+            const result = {};
+            for (const sel of sels) {
+                let el = null;
+                try {
+                    el = document.querySelector(sel);
+                } catch (e) {
+                    // Not a valid CSS selector (e.g. an axe iframe path)
+                }
+                if (!el) continue;
+                if (!ids.has(el)) ids.set(el, ids.size);
+                result[sel] = ids.get(el);
             }
+            return result;
+        }, selectors);
+    } catch (e) {
+        console.error('Failed to resolve element identities:', e);
+        return {};
+    }
+}
+
+// The browser contexts (pool leases, one per stage) a scan has open. Aborting the scan closes
+// them, which makes whatever it is waiting on (a navigation, pa11y, axe) fail at once; the scan
+// stops at its next check.
+function createLeaseTracker(signal) {
+    const open = new Set();
+    const releaseAll = () => {
+        const leases = [...open];
+        open.clear();
+        return Promise.all(leases.map(lease => lease.release()));
+    };
+    if (signal) signal.addEventListener('abort', releaseAll, { once: true });
+    return {
+        aborted: () => Boolean(signal && signal.aborted),
+        acquire: async (options) => {
+            const lease = await acquireContext(options);
+            open.add(lease);
+            if (signal && signal.aborted) await releaseAll();
+            return lease;
+        },
+        // Leases the abort already released are skipped
+        release: async (lease) => {
+            if (open.delete(lease)) await lease.release();
+        },
+        dispose: () => {
+            if (signal) signal.removeEventListener('abort', releaseAll);
         }
+    };
+}
+
+// The unified lists of a pass that was cut short, from whichever findings it got to
+function unifyPartial({ pa11yIssues = [], pa11yPassed = [], axeViolations = [], axePasses = [] }) {
+    return {
+        issues: normalizeFindings({ pa11y: pa11yIssues, axe: axeViolations }),
+        passed: normalizeFindings({ pa11y: pa11yPassed, axe: axePasses, passed: true })
+    };
+}
+
+// Builds the session (cookies, and headers including basic auth) a scan should browse with,
+// running the login steps first when the auth config has any
+async function createSession(url, auth, leases) {
+    if (!auth) return null;
+    const session = {
+        // Headers go to this origin only (see guardPage)
+        origin: new URL(url).origin,
+        headers: credentialHeaders(auth),
+        cookies: withCookieDefaults(auth.cookies, url)
+    };
+    if (!auth.steps || !auth.steps.length) return session;
+
+    const login = await leases.acquire();
+    try {
+        const page = await login.context.newPage();
+        await guardPage(page, session);
+        await page.setViewport({ width: 1280, height: 800 });
+        await applySession(page, session);
+        await performLogin(page, auth.steps, { checkUrl: assertPublicUrl });
+
+        // Keep every cookie the login produced, including ones set on other subdomains
+        const client = await page.createCDPSession();
+        const { cookies } = await client.send('Network.getAllCookies');
+        session.cookies = [
+            ...session.cookies,
+            ...cookies.map(({ name, value, domain, path, expires, httpOnly, secure, sameSite }) => ({
+                name, value, domain, path, expires, httpOnly, secure, sameSite
+            }))
+        ];
+        assertEgressAllowed(login.context);
+        console.log(`Login completed, captured ${cookies.length} cookie(s)`);
+        return session;
     } catch (e) {
-        if (e.code === 'ENOTFOUND') {
-            throw new Error('Invalid or unreachable domain.');
+        throw new Error(`Login failed: ${e.message}`);
+    } finally {
+        await leases.release(login);
+    }
+}
+
+// options.auth is a decrypted auth config (see scanAuth.js),
+// options.states a validated list of UI states (see actions.js),
+// options.viewports a validated list of viewports (see viewports.js),
+// options.axeConfig validated axe tags and rule switches (see axe.js),
+// options.onProgress is called with { stage, message, percent, current?, total? } as the scan advances,
+// options.signal stops the scan when aborted: it throws a SCAN_ABORTED error carrying the abort
+// reason, the stage it was in and, as `partial`, the passes (or part of a pass) it completed
+export const runScan = async (url, wcagLevel = 'AA', options = {}) => {
+    const leases = createLeaseTracker(options.signal);
+    try {
+        return await scanWith(leases, url, wcagLevel, options);
+    } finally {
+        leases.dispose();
+    }
+};
+
+async function scanWith(leases, url, wcagLevel, options) {
+    let stage = null;
+    const aborted = (partial = null) => Object.assign(
+        new Error(options.signal.reason?.message || 'Scan was aborted'),
+        { code: SCAN_ABORTED, reason: options.signal.reason, stage, partial }
+    );
+    const checkAborted = () => {
+        if (leases.aborted()) throw aborted();
+    };
+    const progress = (event) => {
+        stage = event.stage;
+        if (!options.onProgress) return;
+        try {
+            options.onProgress(event);
+        } catch (e) {
+            console.error('Progress callback failed:', e);
         }
+    };
+
+    progress({ stage: 'starting', message: 'Checking the URL', percent: 0 });
+    await assertPublicUrl(url);
+    checkAborted();
+    const states = options.states && options.states.length ? options.states : null;
+
+    if (options.auth?.steps?.length) {
+        progress({ stage: 'login', message: 'Logging in', percent: 2 });
+    }
+    let session;
+    try {
+        session = await createSession(url, options.auth, leases);
+    } catch (e) {
+        // A login interrupted by the abort is not a login failure
+        checkAborted();
         throw e;
     }
 
     // First, check for Cloudflare using stealth browser
-    const stealthBrowser = await puppeteer.launch({
-        args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-blink-features=AutomationControlled',
-            '--disable-dev-shm-usage',
-            '--disable-accelerated-2d-canvas',
-            '--no-first-run',
-            '--no-zygote',
-            '--disable-gpu',
-            '--disable-web-security',
-            '--disable-features=VizDisplayCompositor',
-            '--disable-background-timer-throttling',
-            '--disable-backgrounding-occluded-windows',
-            '--disable-renderer-backgrounding',
-            '--disable-field-trial-config',
-            '--disable-ipc-flooding-protection',
-            '--enable-features=NetworkService,NetworkServiceLogging',
-            '--force-color-profile=srgb',
-            '--metrics-recording-only',
-            '--no-default-browser-check',
-            '--no-pings',
-            '--password-store=basic',
-            '--use-mock-keychain',
-            '--hide-scrollbars',
-            '--mute-audio',
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-accelerated-2d-canvas',
-            '--no-first-run',
-            '--no-zygote',
-            '--disable-gpu'
-        ],
-        headless: 'new'
-    });
+    progress({ stage: 'stealth-check', message: 'Checking for bot protection', percent: 5 });
+    // The only lease on a browser with the stealth evasions; the audits below use plain ones
+    const stealth = await leases.acquire({ stealth: true });
 
     let isCloudflareProtected = false;
 
     try {
-        const stealthPage = await stealthBrowser.newPage();
+        const stealthPage = await stealth.context.newPage();
+        await guardPage(stealthPage, session);
         
         // Enhanced stealth configuration
         await stealthPage.setViewport({ width: 1366, height: 768 });
@@ -199,6 +306,7 @@ export const runScan = async (url, wcagLevel = 'AA') => {
         await stealthPage.setUserAgent(userAgent);
         
         // Set additional headers to appear more human-like
+        await applySession(stealthPage, session);
         await stealthPage.setExtraHTTPHeaders({
             'Accept-Language': 'en-US,en;q=0.9,en-GB;q=0.8',
             'Accept-Encoding': 'gzip, deflate, br',
@@ -279,16 +387,73 @@ export const runScan = async (url, wcagLevel = 'AA') => {
     } catch (e) {
         console.error('Stealth check failed:', e);
     } finally {
-        await stealthBrowser.close();
+        await leases.release(stealth);
     }
+    assertEgressAllowed(stealth.context);
+    checkAborted();
 
     if (isCloudflareProtected) {
         throw new Error('Cloudflare protection detected. Automated scans are not possible for this site. Please whitelist the Google Cloud Platform (GCP) IP range in your Cloudflare dashboard to allow scans.');
     }
 
+    // Each state is audited at each viewport, from a fresh page load with its own actions applied
+    const viewports = options.viewports && options.viewports.length ? options.viewports : [DEFAULT_VIEWPORT];
+    const axeRunConfig = resolveAxeRunConfig(wcagLevel, options.axeConfig);
+    // Recorded on the result so findings can be traced to the engine build and rule set that produced them
+    const engines = { axe: { version: AXE_VERSION, ...axeRunConfig } };
+    const passCount = (states ? states.length : 1) * viewports.length;
+    // Passes share 10-95% of the bar; `fraction` is how far the current pass has got
+    const passProgress = (index, labels) => (event, fraction) => progress({
+        ...event,
+        ...labels,
+        ...(passCount > 1 ? { pass: index + 1, passes: passCount } : {}),
+        percent: Math.round(10 + (85 * (index + fraction)) / passCount)
+    });
+    if (!states && viewports.length === 1) {
+        const result = await runPass(url, wcagLevel, session, [], viewports[0], axeRunConfig, passProgress(0, {}), leases);
+        if (leases.aborted()) throw aborted({ ...result, viewport: viewports[0], engines });
+        if (!result.unified) throw new Error(`The page could not be audited: ${result.error}`);
+        return { ...result, viewport: viewports[0], engines };
+    }
+
+    const passes = [];
+    for (const state of states || [{ name: null, actions: [] }]) {
+        for (const viewport of viewports) {
+            if (leases.aborted()) break;
+            const label = [state.name && `state '${state.name}'`, `viewport '${viewport.name}'`].filter(Boolean).join(' at ');
+            console.log(`Scanning ${label} (${state.actions.length} action(s))`);
+            const pass = { state: state.name, viewport: viewport.name };
+            const onPassProgress = passProgress(passes.length, pass);
+            try {
+                passes.push({ ...pass, ...await runPass(url, wcagLevel, session, state.actions, viewport, axeRunConfig, onPassProgress, leases) });
+            } catch (e) {
+                // A policy violation fails the whole scan, not just this pass
+                if (e.code === EGRESS_BLOCKED) throw e;
+                console.error(`Scan of ${label} failed:`, e);
+                passes.push({ ...pass, error: e.message });
+            }
+        }
+    }
+    if (leases.aborted()) {
+        // Passes that never ran are left out; the one cut short keeps what it found
+        throw aborted(passes.length ? { ...combinePasses(passes, { states: Boolean(states), viewports }), engines } : null);
+    }
+    // Failed passes are listed with their error; with none to show, the scan has failed
+    const failed = passes.filter(pass => !pass.unified);
+    if (failed.length === passes.length) {
+        throw new Error(`No pass could be audited: ${failed.map(pass => pass.error).filter(Boolean)[0] || 'no passes ran'}`);
+    }
+    progress({ stage: 'combining', message: `Combining ${passCount} passes`, percent: 95 });
+    return { ...combinePasses(passes, { states: Boolean(states), viewports }), engines };
+}
+
+// One audit of the page at `viewport`: pa11y, then axe with element screenshots, after applying `actions`
+// onProgress(event, fraction) reports how far through the pass it is, from 0 to 1.
+// A pass cut short by an abort returns what it found so far, without throwing; one that could
+// not load the page or run its actions returns { error } and no unified findings.
+async function runPass(url, wcagLevel, session, actions, viewport = DEFAULT_VIEWPORT, axeRunConfig = resolveAxeRunConfig(wcagLevel), onProgress = () => {}, leases = createLeaseTracker()) {
     // Now run Pa11y with standard settings for accurate testing
     const pa11yStandard = wcagLevel === 'AAA' ? 'WCAG2AAA' : 'WCAG2AA';
-    const axeTag = wcagLevel === 'AAA' ? 'wcag2aaa' : 'wcag2aa';
     
     let pa11yResult = null;
     let axeResults = null;
@@ -297,24 +462,37 @@ export const runScan = async (url, wcagLevel = 'AA') => {
     let pa11yPassedWithScreens = [];
 
     // Run Pa11y with standard configuration
+    // pa11y always gets our own page, so its requests go through the egress guard. Authenticated
+    // scans and UI states also get the session and the actions applied (ignoreUrl stops pa11y reloading it)
+    onProgress({ stage: 'pa11y', message: 'Running pa11y' }, 0);
+    const pa11yLease = await leases.acquire();
     try {
-        pa11yResult = await pa11y(url, {
-            chromeLaunchConfig: {
-                args: [
-                    '--no-sandbox',
-                    '--disable-setuid-sandbox',
-                    '--disable-dev-shm-usage',
-                    '--disable-gpu'
-                ],
-                headless: 'new'
-            },
+        const pa11yOptions = {
             includeNotices: true,
             includeWarnings: true,
             standard: pa11yStandard,
             includePassed: true,
-            timeout: 90000
-        });
+            timeout: 90000,
+            // pa11y applies this to its page itself, so it also covers the page we hand it below
+            viewport: toPuppeteerViewport(viewport),
+            ...(viewport.userAgent ? { userAgent: viewport.userAgent } : {})
+        };
+        const pa11yPage = await pa11yLease.context.newPage();
+        await guardPage(pa11yPage, session);
+        await applyViewport(pa11yPage, viewport);
+        await applySession(pa11yPage, session);
+        if (actions.length) {
+            await pa11yPage.goto(url, { waitUntil: 'networkidle2', timeout: 90000 });
+            await runActions(pa11yPage, actions);
+            pa11yOptions.ignoreUrl = true;
+        }
+        // With both given, pa11y leaves the browser open and only removes its listeners
+        pa11yOptions.browser = pa11yLease.context.browser();
+        pa11yOptions.page = pa11yPage;
+        pa11yResult = await pa11y(url, pa11yOptions);
+        assertEgressAllowed(pa11yLease.context);
     } catch (pa11yError) {
+        assertEgressAllowed(pa11yLease.context);
         console.error('Pa11y scan failed:', pa11yError);
         pa11yResult = {
             issues: [],
@@ -323,23 +501,28 @@ export const runScan = async (url, wcagLevel = 'AA') => {
             warnings: [],
             error: pa11yError.message
         };
+    } finally {
+        await leases.release(pa11yLease);
+    }
+
+    if (leases.aborted()) {
+        return {
+            pa11y: pa11yResult,
+            unified: unifyPartial({ pa11yIssues: pa11yResult.issues, pa11yPassed: pa11yResult.passed })
+        };
     }
 
     // Run axe-core separately for additional testing
-    const browser = await puppeteer.launch({
-        args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-gpu'
-        ],
-        headless: 'new'
-    });
+    onProgress({ stage: 'axe', message: 'Running axe' }, 0.35);
+    const axeLease = await leases.acquire();
 
     try {
-        const page = await browser.newPage();
-        await page.setViewport({ width: 1280, height: 800 });
+        const page = await axeLease.context.newPage();
+        await guardPage(page, session);
+        await applyViewport(page, viewport);
+        await applySession(page, session);
         await page.goto(url, { waitUntil: 'networkidle2', timeout: 90000 });
+        await runActions(page, actions);
 
         // Take a screenshot of the initial viewport
         let pageScreenshot = null;
@@ -349,26 +532,10 @@ export const runScan = async (url, wcagLevel = 'AA') => {
             console.error('Failed to take page screenshot:', e);
         }
 
-        // Inject axe-core and run it
+        // Inject the bundled axe-core and run it
         try {
-            await page.addScriptTag({ url: 'https://cdnjs.cloudflare.com/ajax/libs/axe-core/4.8.2/axe.min.js' });
-            axeResults = await page.evaluate(async (axeTag) => {
-                return await window.axe.run(document, { 
-                    resultTypes: ['violations', 'passes', 'incomplete'],
-                    runOnly: {
-                        type: 'tag',
-                        values: [axeTag]
-                    },
-                    rules: {
-                        'color-contrast': { enabled: true },
-                        'document-title': { enabled: true },
-                        'html-has-lang': { enabled: true },
-                        'image-alt': { enabled: true },
-                        'link-name': { enabled: true },
-                        'meta-viewport': { enabled: true }
-                    }
-                });
-            }, axeTag);
+            await injectAxe(page);
+            axeResults = await runAxe(page, axeRunConfig);
         } catch (axeError) {
             console.error('Axe-core test failed:', axeError);
             axeResults = {
@@ -379,11 +546,28 @@ export const runScan = async (url, wcagLevel = 'AA') => {
             };
         }
 
+        // Element screenshots are the slow part, so each one is reported
+        const screenshotTotal = (pa11yResult.issues || []).filter(issue => issue.selector).length +
+            (axeResults.violations || []).reduce((sum, violation) => sum + violation.nodes.filter(node => node.target && node.target[0]).length, 0);
+        let screenshotsTaken = 0;
+        const screenshotOf = async (selector) => {
+            if (leases.aborted()) return null;
+            const screenshot = await getElementScreenshot(page, selector);
+            screenshotsTaken++;
+            onProgress({
+                stage: 'screenshots',
+                message: `Screenshot ${screenshotsTaken}/${screenshotTotal}`,
+                current: screenshotsTaken,
+                total: screenshotTotal
+            }, 0.45 + (0.45 * screenshotsTaken) / screenshotTotal);
+            return screenshot;
+        };
+
         // Process Pa11y issues with screenshots
         pa11yIssuesWithScreens = await Promise.all(
             (pa11yResult.issues || []).map(async (issue) => {
                 if (!issue.selector) return { ...issue, screenshot: null };
-                const screenshot = await getElementScreenshot(page, issue.selector);
+                const screenshot = await screenshotOf(issue.selector);
                 return { ...issue, screenshot };
             })
         );
@@ -401,7 +585,7 @@ export const runScan = async (url, wcagLevel = 'AA') => {
                     violation.nodes.map(async (node) => {
                         const selector = (node.target && node.target[0]) || null;
                         if (!selector) return { ...node, screenshot: null };
-                        const screenshot = await getElementScreenshot(page, selector);
+                        const screenshot = await screenshotOf(selector);
                         return { ...node, screenshot };
                     })
                 );
@@ -429,44 +613,31 @@ export const runScan = async (url, wcagLevel = 'AA') => {
             incomplete: axeResults.incomplete?.length || 0
         });
 
-        // Create a unified result structure for consistent counting
-        const unifiedIssues = [
-            ...pa11yIssuesWithScreens,
-            ...axeViolationsWithScreens.flatMap(violation => 
-                violation.nodes.map(node => ({
-                    ...node,
-                    type: 'axe',
-                    rule: violation.id,
-                    description: violation.description,
-                    help: violation.help,
-                    helpUrl: violation.helpUrl,
-                    impact: violation.impact,
-                    tags: violation.tags
-                }))
-            )
-        ];
-
-        const unifiedPassed = [
-            ...pa11yPassedWithScreens,
-            ...axePassesWithScreens.flatMap(pass => 
-                pass.nodes.map(node => ({
-                    ...node,
-                    type: 'axe',
-                    rule: pass.id,
-                    description: pass.description,
-                    help: pass.help,
-                    helpUrl: pass.helpUrl,
-                    impact: pass.impact,
-                    tags: pass.tags
-                }))
-            )
-        ];
+        // Map both engines onto one issue model, merging findings on the same element
+        onProgress({ stage: 'processing', message: 'Merging findings' }, 0.95);
+        const elementIds = await resolveElementIds(page, collectSelectors({
+            pa11y: [...pa11yIssuesWithScreens, ...pa11yPassedWithScreens],
+            axe: [...axeViolationsWithScreens, ...axePassesWithScreens]
+        }));
+        const unifiedIssues = normalizeFindings({
+            pa11y: pa11yIssuesWithScreens,
+            axe: axeViolationsWithScreens,
+            elementIds
+        });
+        const unifiedPassed = normalizeFindings({
+            pa11y: pa11yPassedWithScreens,
+            axe: axePassesWithScreens,
+            elementIds,
+            passed: true
+        });
 
         console.log('Unified results:', {
             issues: unifiedIssues.length,
             passed: unifiedPassed.length
         });
 
+        assertEgressAllowed(axeLease.context);
+
         // Return all results with screenshots
         return {
             pa11y: { 
@@ -487,35 +658,91 @@ export const runScan = async (url, wcagLevel = 'AA') => {
         };
 
     } catch (e) {
+        assertEgressAllowed(axeLease.context);
         console.error('Scan error:', e);
         axeResults = axeResults || { error: e.message };
-        return {
+        const partial = {
             pa11y: { ...pa11yResult, issues: pa11yIssuesWithScreens, passed: pa11yPassedWithScreens },
             axe: { ...axeResults, violations: axeViolationsWithScreens }
         };
+        if (leases.aborted()) {
+            // Findings whose screenshots were still being taken are kept without them
+            partial.unified = unifyPartial({
+                pa11yIssues: pa11yIssuesWithScreens.length ? pa11yIssuesWithScreens : pa11yResult.issues,
+                pa11yPassed: pa11yResult.passed,
+                axeViolations: axeViolationsWithScreens.length ? axeViolationsWithScreens : axeResults.violations,
+                axePasses: axeResults.passes
+            });
+        } else {
+            // Loading the page or running the actions failed, so nothing was audited
+            partial.error = e.message;
+        }
+        return partial;
     } finally {
-        await browser.close();
+        await leases.release(axeLease);
     }
-};
+}
 
-function isPrivateIp(ip) {
-    // IPv4
-    if (net.isIPv4(ip)) {
-        return (
-            ip.startsWith('10.') ||
-            ip.startsWith('192.168.') ||
-            ip.startsWith('127.') ||
-            ip.startsWith('169.254.') ||
-            (ip >= '172.16.0.0' && ip <= '172.31.255.255')
-        );
-    }
-    // IPv6
-    if (net.isIPv6(ip)) {
-        return (
-            ip === '::1' ||
-            ip.startsWith('fc') ||
-            ip.startsWith('fd')
-        );
+// Merges the passes of a multi-state or multi-viewport scan: each pass keeps its own section,
+// and the top-level unified lists every distinct issue once with the states and viewports it
+// appeared in. Issues found at some viewports but not all are flagged viewportSpecific; only
+// viewports where a pass of the issue's states was audited count, so a failed pass flags nothing.
+function combinePasses(passes, { states, viewports }) {
+    const viewportNames = viewports.map(viewport => viewport.name);
+    const multiViewport = viewportNames.length > 1;
+    const audited = passes.filter(pass => pass.unified);
+    const addUnique = (list, value) => {
+        if (!list.includes(value)) list.push(value);
+    };
+
+    const merge = (key) => {
+        const byId = new Map();
+        // States each issue appeared in, also when the result doesn't list them
+        const seenIn = new Map();
+        for (const pass of audited) {
+            for (const issue of pass.unified[key] || []) {
+                let merged = byId.get(issue.id);
+                if (!merged) {
+                    merged = { ...issue };
+                    if (states) merged.states = [];
+                    if (multiViewport) merged.viewports = [];
+                    byId.set(issue.id, merged);
+                    seenIn.set(issue.id, new Set());
+                }
+                seenIn.get(issue.id).add(pass.state);
+                if (states) addUnique(merged.states, pass.state);
+                if (multiViewport) addUnique(merged.viewports, pass.viewport);
+            }
+        }
+        const issues = [...byId.values()];
+        if (multiViewport) {
+            for (const issue of issues) {
+                const checked = new Set(audited
+                    .filter(pass => seenIn.get(issue.id).has(pass.state))
+                    .map(pass => pass.viewport));
+                issue.viewportSpecific = issue.viewports.length < checked.size;
+            }
+        }
+        return issues;
+    };
+
+    const issues = merge('issues');
+    const combined = {
+        passes,
+        unified: {
+            issues,
+            passed: merge('passed')
+        },
+        pageScreenshot: passes.find(pass => pass.pageScreenshot)?.pageScreenshot || null
+    };
+    if (multiViewport) {
+        combined.viewports = viewports.map(viewport => ({
+            ...viewport,
+            issues: issues.filter(issue => issue.viewports.includes(viewport.name)).length,
+            specificIssues: issues.filter(issue => issue.viewportSpecific && issue.viewports.includes(viewport.name)).length,
+            pageScreenshot: passes.find(pass => pass.viewport === viewport.name && pass.pageScreenshot)?.pageScreenshot || null
+        }));
+        combined.commonIssues = issues.filter(issue => !issue.viewportSpecific).length;
     }
-    return false;
+    return combined;
 }
@@ -0,0 +1,164 @@
+import mongoose from 'mongoose';
+import cronParser from 'cron-parser';
+import { ensureConnection, saveReport } from './db.js';
+import { enqueueScan, enqueueSiteScan } from './scanJobs.js';
+import { normalizeCrawlOptions } from './siteScan.js';
+import { prepareAuthFields } from './scanAuth.js';
+import { validateStates } from './actions.js';
+import { validateViewports } from './viewports.js';
+import { validateAxeConfig } from './axe.js';
+
+const TICK_INTERVAL_MS = 60 * 1000;
+
+// Presets run at 03:00 in the schedule's timezone
+const FREQUENCY_PRESETS = {
+  daily: '0 3 * * *',
+  weekly: '0 3 * * 1',
+  monthly: '0 3 1 * *'
+};
+
+let tickTimer = null;
+
+export const getCronExpression = ({ frequency, cron }) => (
+  frequency === 'cron' ? cron : FREQUENCY_PRESETS[frequency]
+);
+
+export const computeNextRun = (schedule, from = new Date()) => {
+  const expression = getCronExpression(schedule);
+  if (!expression) {
+    throw new Error(`Unknown schedule frequency '${schedule.frequency}'`);
+  }
+  return cronParser.parseExpression(expression, {
+    currentDate: from,
+    tz: schedule.timezone || 'UTC'
+  }).next().toDate();
+};
+
+// Validates a create request body and returns the fields to store
+export const buildSchedule = (body) => {
+  const { url, email, wcagLevel, mode = 'page', crawl, auth, frequency, cron, timezone = 'UTC', emailResults = false } = body;
+  const states = validateStates(body);
+  const viewports = validateViewports(body.viewports);
+  const axeConfig = validateAxeConfig(body.axeConfig);
+  if (!url) {
+    throw new Error('Missing URL');
+  }
+  if (!['daily', 'weekly', 'monthly', 'cron'].includes(frequency)) {
+    throw new Error("Invalid frequency, expected 'daily', 'weekly', 'monthly' or 'cron'");
+  }
+  if (frequency === 'cron' && !cron) {
+    throw new Error("A cron expression is required when frequency is 'cron'");
+  }
+  if (!['page', 'site'].includes(mode)) {
+    throw new Error("Invalid mode, expected 'page' or 'site'");
+  }
+  if (emailResults && !email) {
+    throw new Error('An email address is required to email results');
+  }
+
+  const schedule = {
+    url,
+    email,
+    wcagLevel,
+    mode,
+    crawl: mode === 'site' ? normalizeCrawlOptions(crawl) : undefined,
+    frequency,
+    cron: frequency === 'cron' ? cron : undefined,
+    timezone,
+    emailResults: Boolean(emailResults),
+    states,
+    viewports,
+    axeConfig,
+    ...prepareAuthFields(auth)
+  };
+  // Throws on an invalid cron expression or timezone
+  schedule.nextRunAt = computeNextRun(schedule);
+  return schedule;
+};
+
+// Creates the report for one run of a schedule and queues its scan
+const triggerSchedule = async (schedule) => {
+  const report = await saveReport({
+    url: schedule.url,
+    email: schedule.email,
+    type: 'scheduled',
+    status: 'pending',
+    wcagLevel: schedule.wcagLevel,
+    mode: schedule.mode,
+    crawl: schedule.crawl,
+    authSummary: schedule.authSummary,
+    states: schedule.states,
+    viewports: schedule.viewports,
+    axeConfig: schedule.axeConfig,
+    createdBy: schedule.createdBy,
+    orgId: schedule.orgId,
+    schedule: schedule._id
+  });
+
+  const payload = {
+    reportId: report._id,
+    url: schedule.url,
+    wcagLevel: schedule.wcagLevel,
+    auth: schedule.auth,
+    states: schedule.states,
+    viewports: schedule.viewports,
+    axeConfig: schedule.axeConfig
+  };
+  if (schedule.mode === 'site') {
+    await enqueueSiteScan({ ...payload, crawl: schedule.crawl });
+  } else {
+    await enqueueScan(payload);
+  }
+
+  await mongoose.model('Schedule').findByIdAndUpdate(schedule._id, {
+    lastRunAt: new Date(),
+    lastReport: report._id,
+    $inc: { runCount: 1 }
+  });
+  console.log(`Schedule ${schedule._id} triggered scan ${report._id} for ${schedule.url}`);
+  return report;
+};
+
+export const runDueSchedules = async () => {
+  await ensureConnection();
+  const Schedule = mongoose.model('Schedule');
+  const now = new Date();
+  const due = await Schedule.find({ active: true, nextRunAt: { $lte: now } });
+
+  for (const schedule of due) {
+    // Move nextRunAt forward first so only one instance claims this run
+    let nextRunAt;
+    try {
+      nextRunAt = computeNextRun(schedule, now);
+    } catch (error) {
+      console.error(`Schedule ${schedule._id} has an invalid expression, pausing it:`, error.message);
+      await Schedule.findByIdAndUpdate(schedule._id, { active: false });
+      continue;
+    }
+    const claimed = await Schedule.findOneAndUpdate(
+      { _id: schedule._id, active: true, nextRunAt: schedule.nextRunAt },
+      { nextRunAt },
+      { new: true }
+    ).select('+auth');
+    if (!claimed) continue;
+
+    try {
+      await triggerSchedule(claimed);
+    } catch (error) {
+      console.error(`Failed to trigger schedule ${schedule._id}:`, error);
+    }
+  }
+};
+
+export const startScheduler = () => {
+  if (tickTimer) return;
+  console.log('Starting scan scheduler');
+  const tick = () => runDueSchedules().catch(error => console.error('Scheduler tick failed:', error));
+  tickTimer = setInterval(tick, TICK_INTERVAL_MS);
+  tick();
+};
+
+export const stopScheduler = () => {
+  clearInterval(tickTimer);
+  tickTimer = null;
+};
@@ -0,0 +1,71 @@
+import { issueImpact, summarizeResult, activeIssues } from './summary.js';
+
+// How much one rule counts at each impact level
+const IMPACT_WEIGHTS = {
+  critical: 10,
+  serious: 5,
+  moderate: 2,
+  minor: 1
+};
+
+const ruleOf = (issue) => issue.rule || issue.code || issue.id || 'unknown';
+
+// Failed rules weigh by impact and grow with the number of affected elements, logarithmically,
+// so one repeated template bug doesn't outweigh many distinct problems. A rule that fails
+// anywhere counts only as failed. Passed rules weigh by their rule's impact, which axe.js adds
+// to axe's passes.
+const ruleWeights = (findings) => {
+  const rules = new Map();
+  for (const finding of findings) {
+    const rule = ruleOf(finding);
+    const entry = rules.get(rule) || { weight: 0, elements: 0 };
+    entry.weight = Math.max(entry.weight, IMPACT_WEIGHTS[issueImpact(finding)] || 1);
+    entry.elements++;
+    rules.set(rule, entry);
+  }
+  return rules;
+};
+
+// 0-100 score from a result's unified issues and passes: the share of rule weight that passed.
+// Null when there is nothing to score (failed scans, site reports without pages).
+export const computeScore = (result) => {
+  const issues = activeIssues(result?.unified?.issues);
+  const passed = result?.unified?.passed || [];
+  const failedRules = ruleWeights(issues);
+  const passedRules = ruleWeights(passed);
+
+  let failedWeight = 0;
+  for (const { weight, elements } of failedRules.values()) {
+    failedWeight += weight * (1 + Math.log2(elements));
+  }
+  let passedWeight = 0;
+  for (const [rule, { weight }] of passedRules) {
+    if (!failedRules.has(rule)) passedWeight += weight;
+  }
+
+  if (!failedWeight && !passedWeight) return null;
+  return Math.round((100 * passedWeight) / (passedWeight + failedWeight));
+};
+
+// Site score: the mean of its page scores
+export const averageScore = (scores) => {
+  const valid = scores.filter(score => typeof score === 'number');
+  return valid.length ? Math.round(valid.reduce((sum, score) => sum + score, 0) / valid.length) : null;
+};
+
+// Fields stored on a completed page report so listings and trends never load the result
+export const scoreFields = (result) => {
+  const { issues, suppressed, passed, byImpact } = summarizeResult(result);
+  return { score: computeScore(result), issueCounts: { issues, suppressed, passed, byImpact } };
+};
+
+// Site reports store the totals already rolled up from their pages
+export const siteScoreFields = (site) => ({
+  score: site.totals.score,
+  issueCounts: {
+    issues: site.totals.issues,
+    suppressed: site.totals.suppressed,
+    passed: site.totals.passed,
+    byImpact: site.totals.byImpact
+  }
+});
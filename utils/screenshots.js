@@ -0,0 +1,97 @@
+import crypto from 'crypto';
+import { putBlob, getBlob, deleteBlobs } from './blobStore.js';
+
+// Fields in a scan result that hold images: issue/node `screenshot`s and per-pass `pageScreenshot`s.
+// Stored results replace the data URL with `<field>Id` and `<field>Url`.
+const IMAGE_FIELDS = ['screenshot', 'pageScreenshot'];
+const DATA_URL_PATTERN = /^data:(image\/(?:png|jpeg));base64,(.+)$/;
+
+export const SHOT_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+export const screenshotUrl = (reportId, shotId) => `/api/report/${reportId}/screenshot/${shotId}`;
+
+const blobKey = (reportId, shotId) => `${reportId}/${shotId}`;
+
+// Results are plain data apart from the odd Date or ObjectId, which are left as they are
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+  [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+// Visits every plain object in a result, depth first
+const walk = (value, visit) => {
+  if (Array.isArray(value)) {
+    value.forEach(item => walk(item, visit));
+  } else if (isPlainObject(value)) {
+    visit(value);
+    Object.values(value).forEach(item => walk(item, visit));
+  }
+};
+
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  return value;
+};
+
+// Moves every inline screenshot in `result` to the blob store and returns the count.
+// The same image (e.g. on a pa11y issue and the unified issue built from it) is stored once.
+export const storeScreenshots = async (reportId, result) => {
+  const stored = new Set();
+  const pending = [];
+  walk(result, (node) => {
+    for (const field of IMAGE_FIELDS) {
+      const match = typeof node[field] === 'string' && node[field].match(DATA_URL_PATTERN);
+      if (!match) continue;
+      const buffer = Buffer.from(match[2], 'base64');
+      const shotId = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 32);
+      if (!stored.has(shotId)) {
+        stored.add(shotId);
+        pending.push(putBlob(blobKey(reportId, shotId), buffer, match[1]));
+      }
+      node[field] = null;
+      node[`${field}Id`] = shotId;
+      node[`${field}Url`] = screenshotUrl(reportId, shotId);
+    }
+  });
+  await Promise.all(pending);
+  return stored.size;
+};
+
+export const readScreenshot = (reportId, shotId) => getBlob(blobKey(reportId, shotId));
+
+// Puts the images back inline, for consumers that need self-contained output (PDFs, exports).
+// Returns a copy; the stored result is left alone.
+export const loadScreenshots = async (reportId, result) => {
+  if (!result) return result;
+  const copy = clone(result);
+  const cache = new Map();
+  const load = (shotId) => {
+    if (!cache.has(shotId)) {
+      cache.set(shotId, readScreenshot(reportId, shotId)
+        .then(blob => (blob ? `data:${blob.contentType};base64,${blob.buffer.toString('base64')}` : null))
+        .catch(error => {
+          console.error(`Failed to load screenshot ${shotId} of report ${reportId}:`, error.message);
+          return null;
+        }));
+    }
+    return cache.get(shotId);
+  };
+
+  const pending = [];
+  walk(copy, (node) => {
+    for (const field of IMAGE_FIELDS) {
+      const shotId = node[`${field}Id`];
+      if (!shotId || node[field]) continue;
+      pending.push(load(shotId).then(dataUrl => { node[field] = dataUrl; }));
+    }
+  });
+  await Promise.all(pending);
+  return copy;
+};
+
+// Returns the report with its result's screenshots inlined
+export const withInlineScreenshots = async (report) => {
+  const plain = typeof report.toObject === 'function' ? report.toObject() : report;
+  return { ...plain, result: await loadScreenshots(plain._id, plain.result) };
+};
+
+export const deleteScreenshots = (reportId) => deleteBlobs(`${reportId}/`);
@@ -0,0 +1,34 @@
+import crypto from 'crypto';
+
+// AES-256-GCM with a key from SECRETS_ENCRYPTION_KEY (any string; it is hashed to 32 bytes)
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+const getKey = () => {
+  const secret = process.env.SECRETS_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error('SECRETS_ENCRYPTION_KEY is not configured, credentials cannot be stored');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+export const isEncryptionConfigured = () => Boolean(process.env.SECRETS_ENCRYPTION_KEY);
+
+// Returns "v1:<iv>:<tag>:<ciphertext>", all base64
+export const encryptJson = (value) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+};
+
+export const decryptJson = (payload) => {
+  const [version, iv, tag, ciphertext] = String(payload || '').split(':');
+  if (version !== VERSION || !iv || !tag || !ciphertext) {
+    throw new Error('Unrecognised encrypted payload');
+  }
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+  return JSON.parse(plaintext.toString('utf8'));
+};
@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { ensureConnection } from './db.js';
+import { canReadReport } from './access.js';
+
+// Share tokens give read-only access to one report (and, for a site report, its pages)
+// without signing in. Only a hash is stored; the token itself is shown once, on creation.
+const TOKEN_PREFIX = 'shr_';
+const MAX_EXPIRY_DAYS = 365;
+
+const shareSchema = new mongoose.Schema({
+  report: { type: mongoose.Schema.Types.ObjectId, ref: 'Report', required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  label: String,
+  // Null means the link never expires
+  expiresAt: Date,
+  revokedAt: Date,
+  lastUsedAt: Date,
+  useCount: { type: Number, default: 0 },
+  createdBy: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+const Share = mongoose.model('Share', shareSchema);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// `expiresInDays` is optional; omit it (or pass null) for a link that lasts until revoked
+export const createShare = async (reportId, { expiresInDays, label } = {}, userId) => {
+  let expiresAt = null;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = Number(expiresInDays);
+    if (!(days > 0) || days > MAX_EXPIRY_DAYS) {
+      throw new Error(`expiresInDays must be between 0 and ${MAX_EXPIRY_DAYS}`);
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+  await ensureConnection();
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const share = await new Share({
+    report: reportId,
+    tokenHash: hashToken(token),
+    label: label ? String(label).slice(0, 200) : undefined,
+    expiresAt,
+    createdBy: userId
+  }).save();
+  const { tokenHash, ...fields } = share.toObject();
+  return { ...fields, token };
+};
+
+export const getShares = async (reportId) => {
+  await ensureConnection();
+  return Share.find({ report: reportId }).select('-tokenHash').sort({ createdAt: -1 });
+};
+
+export const revokeShare = async (reportId, shareId) => {
+  await ensureConnection();
+  return Share.findOneAndUpdate(
+    { _id: shareId, report: reportId },
+    { revokedAt: new Date() },
+    { new: true }
+  ).select('-tokenHash');
+};
+
+export const deleteShares = async (reportIds) => {
+  await ensureConnection();
+  await Share.deleteMany({ report: { $in: reportIds } });
+};
+
+// The token a request carries, as ?token= or an X-Share-Token header
+export const shareTokenFrom = (req) => {
+  const token = req.get('X-Share-Token') || req.query.token;
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX) ? token : null;
+};
+
+// A token is valid for its report and for the pages of a site report
+const verifyShareToken = async (report, token) => {
+  if (!token) return false;
+  await ensureConnection();
+  const now = new Date();
+  const share = await Share.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      report: { $in: [report._id, report.parentReport].filter(Boolean) },
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    },
+    { lastUsedAt: now, $inc: { useCount: 1 } }
+  );
+  return Boolean(share);
+};
+
+// Owners, admins and holders of a valid share token may read a report
+export const canViewReport = async (report, req) => (
+  canReadReport(report, req.auth) || verifyShareToken(report, shareTokenFrom(req))
+);
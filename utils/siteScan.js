@@ -0,0 +1,277 @@
+import { fetchPublic } from './egress.js';
+import { summarizeResult, IMPACT_LEVELS } from './summary.js';
+import { computeScore, averageScore } from './score.js';
+
+// Crawl limits (per-scan options are clamped to these)
+const MAX_PAGES_LIMIT = parseInt(process.env.SITE_SCAN_MAX_PAGES, 10) || 200;
+const MAX_DEPTH_LIMIT = 5;
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_SITEMAPS = 10;
+const WORST_PAGES_COUNT = 5;
+
+const FETCH_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (compatible; pa11y-backend site crawler)',
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+};
+
+// Normalise crawl options coming from a request body
+// Throws when an include or exclude pattern is not a valid regex, so a request with one is
+// rejected rather than queued
+export const normalizeCrawlOptions = (options = {}) => {
+  const crawl = {
+    sources: ['sitemap', 'links', 'both'].includes(options.sources) ? options.sources : 'both',
+    sitemapUrl: options.sitemapUrl || null,
+    maxDepth: Math.min(Math.max(parseInt(options.maxDepth, 10) || 2, 0), MAX_DEPTH_LIMIT),
+    maxPages: Math.min(Math.max(parseInt(options.maxPages, 10) || 25, 1), MAX_PAGES_LIMIT),
+    include: Array.isArray(options.include) ? options.include.map(String) : [],
+    exclude: Array.isArray(options.exclude) ? options.exclude.map(String) : []
+  };
+  for (const pattern of [...crawl.include, ...crawl.exclude]) {
+    try {
+      compilePattern(pattern);
+    } catch (error) {
+      if (!(error instanceof SyntaxError)) throw error;
+      throw new Error(`Invalid crawl pattern ${pattern}: ${error.message}`);
+    }
+  }
+  return crawl;
+};
+
+// Patterns are either /regex/ or wildcard strings ("*" matches anything),
+// tested against both the full URL and its path
+const compilePattern = (pattern) => {
+  const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    return new RegExp(regexMatch[1], regexMatch[2]);
+  }
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+};
+
+const matchesAny = (patterns, url) => {
+  const { pathname, search } = new URL(url);
+  return patterns.some(pattern => pattern.test(url) || pattern.test(pathname + search) || pattern.test(pathname));
+};
+
+// Strip fragments so "/page" and "/page#top" count as one page
+const normalizePageUrl = (href, base) => {
+  try {
+    const parsed = new URL(href, base);
+    if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+    parsed.hash = '';
+    return parsed.href;
+  } catch (e) {
+    return null;
+  }
+};
+
+// `authHeaders` are not passed on to redirects that leave the site
+const fetchText = async (url, authHeaders = {}) => {
+  const response = await fetchPublic(url, {
+    headers: FETCH_HEADERS,
+    originHeaders: authHeaders,
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`Request to ${url} failed with status ${response.status}`);
+  }
+  return {
+    finalUrl: response.url || url,
+    contentType: response.headers.get('content-type') || '',
+    body: await response.text()
+  };
+};
+
+const decodeXmlEntities = (value) => value
+  .replace(/&amp;/g, '&')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'");
+
+// Reads a sitemap (or sitemap index) and returns the page URLs it lists
+const readSitemap = async (sitemapUrl, origin, limit, headers) => {
+  const pages = [];
+  const queue = [sitemapUrl];
+  const seen = new Set();
+
+  while (queue.length && seen.size < MAX_SITEMAPS && pages.length < limit) {
+    const current = queue.shift();
+    if (seen.has(current)) continue;
+    seen.add(current);
+
+    let body;
+    try {
+      ({ body } = await fetchText(current, headers));
+    } catch (e) {
+      console.log(`Sitemap ${current} could not be read: ${e.message}`);
+      continue;
+    }
+
+    const isIndex = /<sitemapindex[\s>]/i.test(body);
+    const locs = [...body.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/gi)].map(m => decodeXmlEntities(m[1]));
+    for (const loc of locs) {
+      const normalized = normalizePageUrl(loc, current);
+      if (!normalized || new URL(normalized).origin !== origin) continue;
+      if (isIndex) {
+        queue.push(normalized);
+      } else {
+        pages.push(normalized);
+      }
+    }
+  }
+
+  return pages;
+};
+
+const extractLinks = (html, base) => {
+  const links = [];
+  for (const match of html.matchAll(/<a\s[^>]*?href\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi)) {
+    const href = decodeXmlEntities(match[1] || match[2] || match[3] || '');
+    const normalized = normalizePageUrl(href, base);
+    if (normalized) links.push(normalized);
+  }
+  return links;
+};
+
+// Discovers same-origin pages from the sitemap and/or by following links.
+// `headers` carries static credentials; login steps need a browser and are not replayed here.
+export const discoverPages = async (startUrl, rawOptions = {}, headers = {}) => {
+  const options = normalizeCrawlOptions(rawOptions);
+  const start = normalizePageUrl(startUrl);
+  if (!start) {
+    throw new Error('Invalid start URL');
+  }
+  const { origin } = new URL(start);
+  const include = options.include.map(compilePattern);
+  const exclude = options.exclude.map(compilePattern);
+
+  const isWanted = (url) => (
+    new URL(url).origin === origin &&
+    (!include.length || matchesAny(include, url)) &&
+    !matchesAny(exclude, url)
+  );
+
+  const pages = [];
+  const seen = new Set();
+  const addPage = (url) => {
+    if (seen.has(url) || pages.length >= options.maxPages) return false;
+    seen.add(url);
+    if (!isWanted(url)) return false;
+    pages.push(url);
+    return true;
+  };
+
+  // The start page is always audited, even if the patterns would skip it
+  seen.add(start);
+  pages.push(start);
+
+  if (options.sources !== 'links') {
+    const sitemapUrl = options.sitemapUrl || `${origin}/sitemap.xml`;
+    const sitemapPages = await readSitemap(sitemapUrl, origin, options.maxPages * 2, headers);
+    console.log(`Sitemap ${sitemapUrl} listed ${sitemapPages.length} page(s)`);
+    sitemapPages.forEach(addPage);
+  }
+
+  if (options.sources !== 'sitemap') {
+    // Breadth-first crawl; links are followed from every visited page,
+    // including ones filtered out by the patterns, so deep sections stay reachable
+    let frontier = [start];
+    const visited = new Set();
+    for (let depth = 0; depth < options.maxDepth && frontier.length && pages.length < options.maxPages; depth++) {
+      const next = [];
+      for (const pageUrl of frontier) {
+        if (visited.has(pageUrl) || pages.length >= options.maxPages) continue;
+        visited.add(pageUrl);
+        try {
+          const { finalUrl, contentType, body } = await fetchText(pageUrl, headers);
+          if (!contentType.includes('html') || new URL(finalUrl).origin !== origin) continue;
+          for (const link of extractLinks(body, finalUrl)) {
+            if (new URL(link).origin !== origin || visited.has(link)) continue;
+            addPage(link);
+            next.push(link);
+          }
+        } catch (e) {
+          console.log(`Crawl of ${pageUrl} failed: ${e.message}`);
+        }
+      }
+      frontier = [...new Set(next)];
+    }
+  }
+
+  console.log(`Discovered ${pages.length} page(s) for ${start}`);
+  return pages;
+};
+
+// Builds the parent site report body from its child reports
+export const rollUpSiteResult = (site, childReports) => {
+  const totals = {
+    pages: childReports.length,
+    complete: 0,
+    failed: 0,
+    pending: 0,
+    cancelled: 0,
+    timedOut: 0,
+    issues: 0,
+    suppressed: 0,
+    passed: 0,
+    byImpact: Object.fromEntries(IMPACT_LEVELS.map(level => [level, 0])),
+    byType: { error: 0, warning: 0, notice: 0 }
+  };
+
+  const pages = childReports.map(child => {
+    const entry = {
+      reportId: child._id,
+      url: child.url,
+      status: child.status
+    };
+    // Timed-out pages count with the findings they got to, but have no score
+    const partial = child.status === 'timeout' && Boolean(child.result?.unified);
+    if (child.status === 'complete' || partial) {
+      if (partial) {
+        totals.timedOut++;
+        entry.partial = true;
+      } else {
+        totals.complete++;
+      }
+      const summary = summarizeResult(child.result);
+      Object.assign(entry, summary, { score: partial ? null : child.score ?? computeScore(child.result) });
+      totals.issues += summary.issues;
+      totals.suppressed += summary.suppressed;
+      totals.passed += summary.passed;
+      for (const level of IMPACT_LEVELS) totals.byImpact[level] += summary.byImpact[level];
+      for (const type of Object.keys(totals.byType)) totals.byType[type] += summary.byType[type];
+    } else if (child.status === 'error') {
+      totals.failed++;
+      entry.error = child.result?.error;
+    } else if (child.status === 'timeout') {
+      totals.timedOut++;
+      entry.error = child.result?.error;
+    } else if (child.status === 'cancelled') {
+      totals.cancelled++;
+    } else {
+      totals.pending++;
+    }
+    return entry;
+  });
+
+  totals.score = averageScore(pages.map(page => page.score));
+
+  const worstPages = pages
+    .filter(page => page.status === 'complete')
+    .sort((a, b) => (
+      (b.byImpact.critical - a.byImpact.critical) ||
+      (b.byImpact.serious - a.byImpact.serious) ||
+      (b.issues - a.issues)
+    ))
+    .slice(0, WORST_PAGES_COUNT);
+
+  return {
+    site: {
+      ...site,
+      totals,
+      worstPages,
+      pages
+    }
+  };
+};
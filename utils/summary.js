@@ -0,0 +1,47 @@
+// Counts used wherever a report needs to be summarised (site roll-ups, listings, notifications)
+export const IMPACT_LEVELS = ['critical', 'serious', 'moderate', 'minor'];
+
+// pa11y has no impact levels, so its issue types are mapped onto axe's scale
+export const PA11Y_TYPE_IMPACT = {
+  error: 'serious',
+  warning: 'moderate',
+  notice: 'minor'
+};
+
+// Normalised issues carry a severity; older reports only have axe impacts or pa11y types
+export const issueImpact = (issue) => (
+  issue.severity || issue.impact || PA11Y_TYPE_IMPACT[issue.type] || 'minor'
+);
+
+// Suppressed issues stay in results, marked with the rule that matched (see suppressions.js),
+// but are left out of counts, scores and exports unless asked for
+export const isSuppressed = (issue) => Boolean(issue.suppressed);
+
+export const activeIssues = (issues = []) => issues.filter(issue => !isSuppressed(issue));
+
+export const summarizeResult = (result) => {
+  const allIssues = result?.unified?.issues || [];
+  const issues = activeIssues(allIssues);
+  const passed = result?.unified?.passed || [];
+
+  const byImpact = Object.fromEntries(IMPACT_LEVELS.map(level => [level, 0]));
+  const byType = { error: 0, warning: 0, notice: 0 };
+
+  for (const issue of issues) {
+    const impact = issueImpact(issue);
+    if (byImpact[impact] !== undefined) {
+      byImpact[impact]++;
+    }
+    if (issue.type && byType[issue.type] !== undefined) {
+      byType[issue.type]++;
+    }
+  }
+
+  return {
+    issues: issues.length,
+    suppressed: allIssues.length - issues.length,
+    passed: passed.length,
+    byImpact,
+    byType
+  };
+};
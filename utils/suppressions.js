@@ -0,0 +1,250 @@
+import mongoose from 'mongoose';
+import { ensureConnection, getChildReports } from './db.js';
+import { sameOwnerFilter } from './access.js';
+import { issueKey } from './diff.js';
+import { scoreFields, siteScoreFields } from './score.js';
+import { rollUpSiteResult } from './siteScan.js';
+
+// Suppressions hide known false positives and accepted risks on one site (hostname) for one owner.
+// A 'rule' suppression matches issues by rule ID, a selector pattern and optionally a page URL
+// pattern; a 'baseline' accepts the exact issues a report had when it was taken. Matching issues
+// are marked (issue.suppressed) rather than removed, and left out of counts and scores. Stored
+// reports of the site are re-marked when a suppression is created, deleted or expires.
+const MAX_EXPIRY_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXPIRY_CHECK_INTERVAL_MS = 10 * 60 * 1000;
+
+const suppressionSchema = new mongoose.Schema({
+  // 'rule' or 'baseline'
+  kind: { type: String, default: 'rule' },
+  site: { type: String, required: true, index: true },
+  // Rule suppressions: rule ID as reported by pa11y or axe, and * wildcard patterns
+  rule: String,
+  selector: String,
+  urlPattern: String,
+  // Baselines: '<page url>|<issue id>' of every accepted issue, and the report they came from
+  issues: { type: [String], default: undefined },
+  report: { type: mongoose.Schema.Types.ObjectId, ref: 'Report' },
+  reason: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  // Set once the site's reports were re-marked after it expired
+  expiryApplied: Boolean,
+  createdBy: { type: String, index: true },
+  orgId: { type: String, index: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const Suppression = mongoose.model('Suppression', suppressionSchema);
+
+// 'example.com' or any URL on it
+export const siteOf = (value) => {
+  const text = String(value || '').trim().toLowerCase();
+  try {
+    return text.includes('://') ? new URL(text).hostname : text;
+  } catch (e) {
+    return '';
+  }
+};
+
+// `*` matches any run of characters; everything else is literal
+const globToRegExp = (pattern) => new RegExp(
+  `^${String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`
+);
+
+const selectorOf = (issue) => issue.selector || (Array.isArray(issue.target) ? issue.target.join(' ') : '');
+
+const fingerprintOf = (pageUrl, issue) => `${pageUrl}|${issue.id || issueKey(issue)}`;
+
+const resolveExpiry = ({ expiresAt, expiresInDays }) => {
+  const date = expiresAt !== undefined
+    ? new Date(expiresAt)
+    : new Date(Date.now() + Number(expiresInDays) * DAY_MS);
+  if (isNaN(date) || date <= new Date() || date - Date.now() > MAX_EXPIRY_DAYS * DAY_MS) {
+    throw new Error(`Pass expiresAt or expiresInDays, up to ${MAX_EXPIRY_DAYS} days ahead`);
+  }
+  return date;
+};
+
+const resolveReason = (reason) => {
+  if (typeof reason !== 'string' || !reason.trim()) {
+    throw new Error('A reason is required');
+  }
+  return reason.trim().slice(0, 1000);
+};
+
+// Validates a create request; `owner` is the ownerFields of the caller
+export const createSuppression = async (body, owner) => {
+  const { site, rule, selector = '*', urlPattern } = body;
+  const host = siteOf(site);
+  if (!/^[a-z0-9.-]+$/.test(host)) {
+    throw new Error('site must be a hostname or a URL');
+  }
+  if (typeof rule !== 'string' || !rule.trim()) {
+    throw new Error('rule is required');
+  }
+  if (typeof selector !== 'string' || (urlPattern !== undefined && typeof urlPattern !== 'string')) {
+    throw new Error('selector and urlPattern must be strings');
+  }
+  const fields = {
+    kind: 'rule',
+    site: host,
+    rule: rule.trim(),
+    selector: selector.trim() || '*',
+    urlPattern: urlPattern ? urlPattern.trim() : undefined,
+    reason: resolveReason(body.reason),
+    expiresAt: resolveExpiry(body),
+    ...owner
+  };
+  await ensureConnection();
+  const suppression = await new Suppression(fields).save();
+  await remarkSite(suppression);
+  return suppression;
+};
+
+// Accepts every current issue of a page report, or of all pages of a site report.
+// The baseline belongs to the report's owner so it applies to their later scans.
+export const createBaseline = async (report, body, userId) => {
+  const reason = resolveReason(body.reason);
+  const expiresAt = resolveExpiry(body);
+  const pages = report.mode === 'site'
+    ? (await getChildReports(report._id)).filter(page => page.status === 'complete')
+    : [report];
+  const issues = pages.flatMap(page => (page.result?.unified?.issues || []).map(issue => fingerprintOf(page.url, issue)));
+  await ensureConnection();
+  const baseline = await new Suppression({
+    kind: 'baseline',
+    site: siteOf(report.url),
+    issues: [...new Set(issues)],
+    report: report._id,
+    reason,
+    expiresAt,
+    createdBy: report.createdBy || userId,
+    orgId: report.orgId
+  }).save();
+  await reapplySuppressions(report, pages);
+  return baseline;
+};
+
+export const getSuppressions = async (filter = {}) => {
+  await ensureConnection();
+  return Suppression.find(filter).select('-issues').sort({ createdAt: -1 });
+};
+
+export const getSuppressionById = async (id) => {
+  await ensureConnection();
+  return Suppression.findById(id).select('-issues');
+};
+
+export const deleteSuppression = async (id) => {
+  await ensureConnection();
+  const suppression = await Suppression.findByIdAndDelete(id);
+  if (suppression) await remarkSite(suppression);
+};
+
+const matches = (suppression, issue, pageUrl) => {
+  if (suppression.kind === 'baseline') {
+    return suppression.issues.includes(fingerprintOf(pageUrl, issue));
+  }
+  const ruleIds = [issue.rule, issue.code, ...(issue.rules || []).map(rule => rule.id)].filter(Boolean);
+  return ruleIds.includes(suppression.rule) &&
+    globToRegExp(suppression.selector || '*').test(selectorOf(issue)) &&
+    (!suppression.urlPattern || globToRegExp(suppression.urlPattern).test(pageUrl));
+};
+
+// Marks the issues of a page result (its unified list and each pass's) that an unexpired
+// suppression of the report's owner matches, replacing earlier marks. Returns the number marked.
+export const applySuppressions = async (report, result) => {
+  if (!result?.unified) return 0;
+  await ensureConnection();
+  const suppressions = await Suppression.find({
+    site: siteOf(report.url),
+    expiresAt: { $gt: new Date() },
+    ...sameOwnerFilter(report)
+  });
+  const lists = [result.unified.issues, ...(result.passes || []).map(pass => pass.unified?.issues)].filter(Boolean);
+  let marked = 0;
+  for (const list of lists) {
+    for (const issue of list) {
+      delete issue.suppressed;
+      const match = suppressions.find(suppression => matches(suppression, issue, report.url));
+      if (!match) continue;
+      issue.suppressed = { id: match._id, kind: match.kind, reason: match.reason, expiresAt: match.expiresAt };
+      if (list === result.unified.issues) marked++;
+    }
+  }
+  return marked;
+};
+
+// Re-marks stored page reports (a site report's pages, then its roll-up) and their scores.
+// Pending reports are left to their scans, which mark them when they save.
+const reapplySuppressions = async (report, pages) => {
+  const Report = mongoose.model('Report');
+  for (const page of pages) {
+    if (page.status === 'pending' || !page.result?.unified) continue;
+    const result = page.result;
+    await applySuppressions(page, result);
+    // As when the scan saved it: partial results are counted but not scored
+    const { score, issueCounts } = scoreFields(result);
+    await Report.updateOne(
+      { _id: page._id, status: page.status },
+      { result, issueCounts, ...(page.status === 'complete' ? { score } : {}) }
+    );
+  }
+  if (report.mode === 'site' && report.result?.site && report.status !== 'pending') {
+    const result = rollUpSiteResult(report.result.site, await getChildReports(report._id));
+    await Report.findByIdAndUpdate(report._id, {
+      result,
+      ...(report.status === 'complete' ? siteScoreFields(result.site) : {})
+    });
+  }
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Re-marks every stored report on the suppression's site that belongs to its owner
+const remarkSite = async (suppression) => {
+  const Report = mongoose.model('Report');
+  const reports = await Report.find({
+    url: new RegExp(`^https?://${escapeRegExp(suppression.site)}(:\\d+)?([/?#]|$)`, 'i'),
+    parentReport: null,
+    ...sameOwnerFilter(suppression)
+  });
+  for (const report of reports) {
+    const pages = report.mode === 'site' ? await getChildReports(report._id) : [report];
+    await reapplySuppressions(report, pages);
+  }
+  return reports.length;
+};
+
+// Re-marks the reports of suppressions that expired since the last check
+export const applyExpiredSuppressions = async () => {
+  await ensureConnection();
+  let applied = 0;
+  for (;;) {
+    const suppression = await Suppression.findOneAndUpdate(
+      { expiresAt: { $lte: new Date() }, expiryApplied: { $ne: true } },
+      { expiryApplied: true },
+      { new: true }
+    ).select('-issues');
+    if (!suppression) break;
+    const reports = await remarkSite(suppression);
+    console.log(`Suppression ${suppression._id} expired, re-marked ${reports} report(s) on ${suppression.site}`);
+    applied++;
+  }
+  return applied;
+};
+
+let expiryTimer = null;
+
+export const startSuppressionExpiry = () => {
+  if (expiryTimer) return;
+  const check = () => applyExpiredSuppressions()
+    .catch(error => console.error('Failed to apply expired suppressions:', error.message));
+  expiryTimer = setInterval(check, EXPIRY_CHECK_INTERVAL_MS);
+  check();
+};
+
+export const stopSuppressionExpiry = () => {
+  clearInterval(expiryTimer);
+  expiryTimer = null;
+};
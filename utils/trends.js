@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+import { getReportHistory, getChildReports } from './db.js';
+import { rollUpSiteResult } from './siteScan.js';
+import { scoreFields, siteScoreFields } from './score.js';
+
+const MAX_POINTS = 500;
+
+// Reports completed before scores were stored are scored once from their result
+const backfillScore = async (report) => {
+  const Report = mongoose.model('Report');
+  const { result } = await Report.findById(report._id).select('result').lean();
+  const fields = report.mode === 'site'
+    ? siteScoreFields(rollUpSiteResult(result?.site || {}, await getChildReports(report._id)).site)
+    : scoreFields(result);
+  await Report.updateOne({ _id: report._id }, fields);
+  Object.assign(report, fields);
+};
+
+// Score and issue-count series for a URL or domain, oldest first
+// `filter` limits which reports count, e.g. to an owner (see access.js)
+export const getTrend = async ({ url, domain, mode, from, to, limit = 100, filter }) => {
+  const reports = await getReportHistory({ url, domain, mode, from, to, filter, limit: Math.min(limit, MAX_POINTS) });
+  for (const report of reports) {
+    if (report.score === undefined) {
+      await backfillScore(report);
+    }
+  }
+  return {
+    ...(url ? { url, mode: mode === 'site' ? 'site' : 'page' } : { domain }),
+    points: reports.map(report => ({
+      reportId: report._id,
+      url: report.url,
+      mode: report.mode,
+      createdAt: report.createdAt,
+      score: report.score,
+      issues: report.issueCounts?.issues ?? null,
+      byImpact: report.issueCounts?.byImpact ?? null
+    }))
+  };
+};
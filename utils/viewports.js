@@ -0,0 +1,67 @@
+const MOBILE_USER_AGENT = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1';
+const TABLET_USER_AGENT = 'Mozilla/5.0 (iPad; CPU OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1';
+
+const MAX_VIEWPORTS = 5;
+
+export const VIEWPORT_PRESETS = {
+  mobile: { name: 'mobile', width: 375, height: 812, deviceScaleFactor: 3, isMobile: true, hasTouch: true, userAgent: MOBILE_USER_AGENT },
+  tablet: { name: 'tablet', width: 768, height: 1024, deviceScaleFactor: 2, isMobile: true, hasTouch: true, userAgent: TABLET_USER_AGENT },
+  desktop: { name: 'desktop', width: 1280, height: 800, deviceScaleFactor: 1, isMobile: false, hasTouch: false, userAgent: null }
+};
+
+export const DEFAULT_VIEWPORT = VIEWPORT_PRESETS.desktop;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Accepts preset names ("mobile") or custom objects ({ name, width, height, deviceScaleFactor, isMobile, hasTouch, userAgent })
+export const validateViewports = (viewports) => {
+  if (viewports === undefined || viewports === null) return null;
+  if (!Array.isArray(viewports) || !viewports.length || viewports.length > MAX_VIEWPORTS) {
+    throw new Error(`viewports must be an array of 1 to ${MAX_VIEWPORTS} presets or sizes`);
+  }
+  const names = new Set();
+  return viewports.map((viewport, index) => {
+    let resolved;
+    if (typeof viewport === 'string') {
+      resolved = VIEWPORT_PRESETS[viewport];
+      if (!resolved) {
+        throw new Error(`viewports[${index}] '${viewport}' is not one of ${Object.keys(VIEWPORT_PRESETS).join(', ')}`);
+      }
+    } else if (viewport && typeof viewport === 'object') {
+      const width = parseInt(viewport.width, 10);
+      const height = parseInt(viewport.height, 10);
+      if (!width || !height) {
+        throw new Error(`viewports[${index}] needs a width and height`);
+      }
+      resolved = {
+        name: String(viewport.name || `${width}x${height}`),
+        width: clamp(width, 200, 3840),
+        height: clamp(height, 200, 2160),
+        deviceScaleFactor: clamp(Number(viewport.deviceScaleFactor) || 1, 1, 4),
+        isMobile: Boolean(viewport.isMobile),
+        hasTouch: Boolean(viewport.hasTouch),
+        userAgent: typeof viewport.userAgent === 'string' ? viewport.userAgent : (viewport.isMobile ? MOBILE_USER_AGENT : null)
+      };
+    } else {
+      throw new Error(`viewports[${index}] must be a preset name or an object`);
+    }
+    if (names.has(resolved.name)) {
+      throw new Error(`viewports[${index}] name '${resolved.name}' is used twice`);
+    }
+    names.add(resolved.name);
+    return resolved;
+  });
+};
+
+// The subset of a viewport puppeteer's setViewport understands
+export const toPuppeteerViewport = ({ width, height, deviceScaleFactor, isMobile, hasTouch }) => ({
+  width, height, deviceScaleFactor, isMobile, hasTouch
+});
+
+// Applies size, device emulation and user agent to a page before it navigates
+export const applyViewport = async (page, viewport) => {
+  await page.setViewport(toPuppeteerViewport(viewport));
+  if (viewport.userAgent) {
+    await page.setUserAgent(viewport.userAgent);
+  }
+};
@@ -0,0 +1,259 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { ensureConnection } from './db.js';
+import { encryptJson, decryptJson } from './secrets.js';
+import { canManage } from './access.js';
+import { assertPublicUrl, fetchPublic } from './egress.js';
+
+// Deliveries are their own queue: each WebhookDelivery row is the log entry and the retry state
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_MS, 10) || 5000;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+// A delivery still 'sending' after this long belonged to a worker that died
+const STALE_SENDING_MS = 2 * 60 * 1000;
+const MAX_RESPONSE_BODY = 2000;
+
+export const WEBHOOK_EVENTS = ['scan.started', 'scan.completed', 'scan.failed', 'scan.cancelled'];
+
+const webhookSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  // Signing secret, encrypted; only shown to the caller when the webhook is created
+  secret: { type: String, select: false, required: true },
+  events: { type: [String], default: WEBHOOK_EVENTS },
+  // Per-schedule webhooks fire for that schedule's reports; otherwise for the creator's reports
+  schedule: { type: mongoose.Schema.Types.ObjectId, ref: 'Schedule', index: true },
+  description: String,
+  active: { type: Boolean, default: true },
+  createdBy: { type: String, index: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+const deliverySchema = new mongoose.Schema({
+  webhook: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', index: true },
+  event: String,
+  report: { type: mongoose.Schema.Types.ObjectId, ref: 'Report' },
+  payload: Object,
+  // 'pending', 'sending', 'delivered' or 'failed'
+  status: { type: String, default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: Date,
+  responseStatus: Number,
+  responseBody: String,
+  lastError: String,
+  durationMs: Number,
+  deliveredAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+deliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', deliverySchema);
+
+let pollTimer = null;
+let draining = false;
+
+// Validates a create request and returns the webhook (with its plain secret, to show once).
+// `auth` is the caller's session; per-schedule webhooks need a schedule they can manage.
+export const createWebhook = async ({ url, events, scheduleId, description }, auth) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    throw new Error('Invalid webhook URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error('Webhook URLs must use http or https');
+  }
+  await assertPublicUrl(parsed.href);
+  const selected = events === undefined ? WEBHOOK_EVENTS : events;
+  if (!Array.isArray(selected) || !selected.length || selected.some(event => !WEBHOOK_EVENTS.includes(event))) {
+    throw new Error(`events must be a non-empty list of ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+  if (scheduleId !== undefined && !mongoose.isValidObjectId(scheduleId)) {
+    throw new Error('Invalid scheduleId');
+  }
+
+  await ensureConnection();
+  if (scheduleId) {
+    const schedule = await mongoose.model('Schedule').findById(scheduleId, 'createdBy orgId');
+    if (!schedule || !canManage(schedule, auth)) {
+      throw new Error('Schedule not found');
+    }
+  }
+  const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  const webhook = await new Webhook({
+    url: parsed.href,
+    secret: encryptJson(secret),
+    events: [...new Set(selected)],
+    schedule: scheduleId,
+    description,
+    createdBy: auth.userId
+  }).save();
+  const { secret: _encrypted, ...fields } = webhook.toObject();
+  return { ...fields, secret };
+};
+
+export const getWebhooks = async (userId) => {
+  await ensureConnection();
+  return Webhook.find({ createdBy: userId }).sort({ createdAt: -1 });
+};
+
+export const getWebhookById = async (id, userId) => {
+  await ensureConnection();
+  return Webhook.findOne({ _id: id, createdBy: userId });
+};
+
+export const deleteWebhook = async (id) => {
+  await ensureConnection();
+  await WebhookDelivery.deleteMany({ webhook: id });
+  await Webhook.findByIdAndDelete(id);
+};
+
+export const getDeliveries = async (webhookId, { status, limit = 50 } = {}) => {
+  await ensureConnection();
+  const query = { webhook: webhookId };
+  if (status) query.status = status;
+  return WebhookDelivery.find(query).sort({ createdAt: -1 }).limit(limit);
+};
+
+// `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`, in the style of Stripe's signatures
+export const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+const reportPayload = (report) => ({
+  id: report._id,
+  url: report.url,
+  mode: report.mode,
+  type: report.type,
+  status: report.status,
+  scheduleId: report.schedule || null,
+  score: report.score ?? null,
+  issueCounts: report.issueCounts || null,
+  error: report.result?.error || null,
+  createdAt: report.createdAt
+});
+
+// Queues a delivery of `event` for a top-level report to every matching webhook.
+// Pages of a site scan are reported through their parent only.
+export const dispatchReportEvent = async (reportId, event) => {
+  await ensureConnection();
+  const report = await mongoose.model('Report').findById(reportId).select('-result.unified -result.pa11y -result.axe -result.passes');
+  if (!report || report.parentReport) return 0;
+  // Timed-out scans are reported as failed; the payload's status tells them apart
+  const eventName = event || ({ complete: 'scan.completed', cancelled: 'scan.cancelled' })[report.status] || 'scan.failed';
+
+  const owners = [];
+  if (report.schedule) owners.push({ schedule: report.schedule });
+  if (report.createdBy) owners.push({ schedule: null, createdBy: report.createdBy });
+  if (!owners.length) return 0;
+  const webhooks = await Webhook.find({ active: true, events: eventName, $or: owners });
+  if (!webhooks.length) return 0;
+
+  const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+    webhook: webhook._id,
+    event: eventName,
+    report: report._id,
+    payload: { event: eventName, occurredAt: new Date(), report: reportPayload(report) }
+  })));
+  console.log(`Queued ${deliveries.length} webhook delivery(ies) of ${eventName} for report ${reportId}`);
+  setImmediate(drainDeliveries);
+  return deliveries.length;
+};
+
+const backoffFor = (attempts) => Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+
+const attemptDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  if (!webhook || !webhook.active) {
+    await WebhookDelivery.updateOne({ _id: delivery._id }, { status: 'failed', lastError: 'Webhook was removed or disabled', $unset: { lockedAt: 1 } });
+    return;
+  }
+
+  const body = JSON.stringify({ id: delivery._id, ...delivery.payload });
+  const started = Date.now();
+  const update = { $unset: { lockedAt: 1 } };
+  try {
+    // Checked on every attempt, and pinned to the checked address; DNS can change at any time
+    const response = await fetchPublic(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'pa11y-backend-webhooks',
+        'X-Webhook-Id': String(webhook._id),
+        'X-Webhook-Delivery': String(delivery._id),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Signature': signPayload(decryptJson(webhook.secret), body)
+      },
+      body,
+      // Redirects could point anywhere, including internal hosts
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    update.responseStatus = response.status;
+    update.responseBody = (await response.text()).slice(0, MAX_RESPONSE_BODY);
+    if (!response.ok) {
+      throw new Error(`Endpoint responded with status ${response.status}`);
+    }
+    update.status = 'delivered';
+    update.deliveredAt = new Date();
+    update.$unset.lastError = 1;
+  } catch (error) {
+    update.lastError = error.message;
+    if (delivery.attempts < MAX_ATTEMPTS) {
+      update.status = 'pending';
+      update.nextAttemptAt = new Date(Date.now() + backoffFor(delivery.attempts));
+    } else {
+      update.status = 'failed';
+    }
+    console.error(`Webhook delivery ${delivery._id} attempt ${delivery.attempts}/${MAX_ATTEMPTS} failed:`, error.message);
+  }
+  update.durationMs = Date.now() - started;
+  await WebhookDelivery.updateOne({ _id: delivery._id }, update);
+};
+
+// Sends every due delivery, one at a time
+const drainDeliveries = async () => {
+  if (draining || !pollTimer) return;
+  draining = true;
+  try {
+    await ensureConnection();
+    // Reclaim deliveries left 'sending' by a worker that went away
+    await WebhookDelivery.updateMany(
+      { status: 'sending', lockedAt: { $lt: new Date(Date.now() - STALE_SENDING_MS) } },
+      { status: 'pending', $unset: { lockedAt: 1 } }
+    );
+    for (;;) {
+      const now = new Date();
+      const delivery = await WebhookDelivery.findOneAndUpdate(
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: now, $inc: { attempts: 1 } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      );
+      if (!delivery) break;
+      await attemptDelivery(delivery);
+    }
+  } catch (error) {
+    console.error('Webhook dispatch failed:', error.message);
+  } finally {
+    draining = false;
+  }
+};
+
+export const startWebhookDispatcher = () => {
+  if (pollTimer) return;
+  console.log('Starting webhook dispatcher');
+  pollTimer = setInterval(drainDeliveries, POLL_INTERVAL_MS);
+  drainDeliveries();
+};
+
+export const stopWebhookDispatcher = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+};